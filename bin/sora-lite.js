@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+/**
+ * bin/sora-lite.js – Command‑line batch compression
+ *
+ * Compresses local files, directories or globs with the same pipeline as the
+ * web API (utils/processor.js), without starting the Express server.
+ *
+ *   sora-lite assets -r -o dist/assets --format webp --quality 80
+ *   sora-lite "img/**\/*.png" --in-place
+ *   sora-lite photos -r --dry-run
+ *   sora-lite uploads -o public/img --preset web
+ */
+
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { parseArgs } = require('util');
+const fg = require('fast-glob');
+const { processFiles } = require('../utils/processor');
+const { parseSettings } = require('../utils/settings');
+const { validateUpload } = require('../utils/validation');
+const { loadConfig } = require('../utils/config');
+const { createPresetStore } = require('../utils/presets');
+
+const IMAGE_GLOB = '*.{jpg,jpeg,png,webp,avif,gif,svg}';
+
+// CLI flag → settings field (same names and validation as POST /upload)
+const SETTING_FLAGS = {
+  format: 'format',
+  quality: 'quality',
+  progressive: 'progressive',
+  'chroma-subsampling': 'chromaSubsampling',
+  'png-quality-min': 'pngQualityMin',
+  'png-quality-max': 'pngQualityMax',
+  'gif-colours': 'gifColours',
+  'gif-lossy': 'gifLossy',
+  'gif-dither': 'gifDither',
+  'max-width': 'maxWidth',
+  'max-height': 'maxHeight',
+  fit: 'fit',
+  'no-upscale': 'noUpscale',
+  widths: 'widths',
+  'target-size': 'targetSize',
+  'min-ssim': 'minSsim',
+  metadata: 'metadata',
+  'auto-orient': 'autoOrient',
+};
+
+const USAGE = `Usage: sora-lite <file|dir|glob>... [options]
+
+Input
+  -r, --recursive            Descend into sub‑directories of directory inputs
+
+Output (one of)
+  -o, --out <dir>            Write into <dir>, mirroring the input tree
+      --in-place             Overwrite the originals (converted formats are
+                             written next to them)
+      --dry-run              Compress in a scratch folder and only report the
+                             estimated savings
+
+Compression (same values as the web API)
+      --preset <name>          Built‑in or custom preset ("presetsFile");
+                               the options below override its settings
+      --format <keep|jpeg|png|webp|avif|gif>  (SVG is always kept as SVG)
+      --quality <1-100>
+      --progressive <true|false>
+      --chroma-subsampling <4:2:0|4:2:2|4:4:4>
+      --png-quality-min <0-1>  --png-quality-max <0-1>
+      --gif-colours <2-256>  --gif-lossy <0-32>  --gif-dither <0-1>
+      --max-width <px>  --max-height <px>
+      --fit <inside|outside|cover|contain|fill>
+      --no-upscale <true|false>
+      --widths <320,640,...>
+      --target-size <bytes|200KB|1.5MB>
+      --min-ssim <0.5-1>       Lowest quality that keeps this SSIM
+      --metadata <strip|keep-icc|keep-all>
+      --auto-orient <true|false>
+
+Other
+  -c, --concurrency <n>      Parallel jobs (default: "concurrency" setting)
+  -h, --help                 Show this help`;
+
+// ---------------------------------------------------------------------------
+// Helper: format bytes → human readable
+// ---------------------------------------------------------------------------
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
+}
+
+// ---------------------------------------------------------------------------
+// Argument parsing
+// ---------------------------------------------------------------------------
+function readArgs(argv, config, presets) {
+  const options = {
+    preset: { type: 'string' },
+    recursive: { type: 'boolean', short: 'r' },
+    out: { type: 'string', short: 'o' },
+    'in-place': { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    concurrency: { type: 'string', short: 'c' },
+    help: { type: 'boolean', short: 'h' },
+  };
+  Object.keys(SETTING_FLAGS).forEach(flag => {
+    options[flag] = { type: 'string' };
+  });
+
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options,
+    allowPositionals: true,
+  });
+
+  if (values.help) return { help: true };
+
+  const modes = [values.out, values['in-place'], values['dry-run']];
+  if (modes.filter(Boolean).length !== 1) {
+    throw new Error('Choose exactly one of --out, --in-place or --dry-run');
+  }
+  if (positionals.length === 0) {
+    throw new Error('No input files, directories or globs given');
+  }
+
+  const body = {};
+  for (const [flag, field] of Object.entries(SETTING_FLAGS)) {
+    if (values[flag] !== undefined) body[field] = values[flag];
+  }
+
+  const concurrency = Number(values.concurrency || config.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a positive integer');
+  }
+
+  return {
+    inputs: positionals,
+    recursive: Boolean(values.recursive),
+    outDir: values.out ? path.resolve(values.out) : null,
+    inPlace: Boolean(values['in-place']),
+    dryRun: Boolean(values['dry-run']),
+    concurrency,
+    settings: parseSettings(presets.apply({ preset: values.preset, ...body })),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Input expansion – every file is returned with the base folder its output
+// path is mirrored from
+// ---------------------------------------------------------------------------
+
+/**
+ * Static leading part of a glob ("img/**\/*.png" → "img").
+ */
+function globBase(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const fixed = [];
+  for (const segment of segments) {
+    if (fg.isDynamicPattern(segment)) break;
+    fixed.push(segment);
+  }
+  return path.resolve(fixed.join(path.sep) || '.');
+}
+
+async function expandInputs(inputs, recursive) {
+  const found = new Map();
+  const add = (file, base) => {
+    const abs = path.resolve(file);
+    if (!found.has(abs)) found.set(abs, { path: abs, base });
+  };
+
+  for (const input of inputs) {
+    const stats = await fs.stat(input).catch(() => null);
+
+    if (stats && stats.isDirectory()) {
+      const base = path.resolve(input);
+      const pattern = recursive ? `**/${IMAGE_GLOB}` : IMAGE_GLOB;
+      const files = await fg(pattern, {
+        cwd: base,
+        absolute: true,
+        caseSensitiveMatch: false,
+      });
+      files.forEach(f => add(f, base));
+    } else if (stats && stats.isFile()) {
+      add(input, path.dirname(path.resolve(input)));
+    } else if (fg.isDynamicPattern(input)) {
+      const base = globBase(input);
+      const files = await fg(input, {
+        absolute: true,
+        caseSensitiveMatch: false,
+      });
+      files.forEach(f => add(f, base));
+    } else {
+      throw new Error(`No such file, directory or glob: ${input}`);
+    }
+  }
+
+  return [...found.values()].sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// ---------------------------------------------------------------------------
+// Output placement
+// ---------------------------------------------------------------------------
+
+/**
+ * Move a file, falling back to copy + delete across devices.
+ */
+async function moveFile(from, to) {
+  await fs.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.rename(from, to);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    await fs.copyFile(from, to);
+    await fs.unlink(from);
+  }
+}
+
+/**
+ * Where the outputs of one input file go: next to the original (in place)
+ * or at the same relative position under the output folder.
+ */
+function destinationBase(input, options) {
+  const ext = path.extname(input.path);
+  const name = path.basename(input.path, ext);
+  const dir = options.inPlace
+    ? path.dirname(input.path)
+    : path.join(
+        options.outDir,
+        path.relative(input.base, path.dirname(input.path))
+      );
+  return path.join(dir, name);
+}
+
+// ---------------------------------------------------------------------------
+// Summary table
+// ---------------------------------------------------------------------------
+function printSummary(rows, dryRun) {
+  const header = ['File', 'Before', 'After', 'Saved', 'Note'];
+  const table = [
+    header,
+    ...rows.map(r => [
+      r.file,
+      r.before === null ? '-' : formatBytes(r.before),
+      r.after === null ? '-' : formatBytes(r.after),
+      r.before && r.after !== null
+        ? `${(100 * (1 - r.after / r.before)).toFixed(1)}%`
+        : '-',
+      r.note || '',
+    ]),
+  ];
+
+  const before = rows.reduce(
+    (acc, r) => acc + (r.after !== null ? r.before : 0),
+    0
+  );
+  const after = rows.reduce((acc, r) => acc + (r.after || 0), 0);
+  table.push([
+    dryRun ? 'Total (estimated)' : 'Total',
+    formatBytes(before),
+    formatBytes(after),
+    before ? `${(100 * (1 - after / before)).toFixed(1)}%` : '-',
+    '',
+  ]);
+
+  const widths = header.map((_, col) =>
+    Math.max(...table.map(row => row[col].length))
+  );
+  const line = row =>
+    row
+      .map((cell, col) =>
+        col === 0 || col === 4
+          ? cell.padEnd(widths[col])
+          : cell.padStart(widths[col])
+      )
+      .join('  ')
+      .trimEnd();
+
+  console.log(line(table[0]));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  table.slice(1, -1).forEach(row => console.log(line(row)));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  console.log(line(table[table.length - 1]));
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+async function main(argv) {
+  // Same limits as the server (defaults, config file, environment)
+  const config = loadConfig();
+
+  let presets;
+  try {
+    presets = await createPresetStore(config.presetsFile);
+  } catch (e) {
+    console.error(`sora-lite: ${e.message}`);
+    return 1;
+  }
+
+  let options;
+  try {
+    options = readArgs(argv, config, presets);
+  } catch (e) {
+    console.error(`sora-lite: ${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const inputs = await expandInputs(options.inputs, options.recursive);
+  if (inputs.length === 0) {
+    console.error('sora-lite: no images found');
+    return 1;
+  }
+
+  const rows = [];
+  const valid = [];
+  const limits = {
+    maxPixels: config.maxPixels,
+    maxDimension: config.maxDimension,
+  };
+  for (const input of inputs) {
+    const file = {
+      path: input.path,
+      originalname: path.basename(input.path),
+      filename: path.basename(input.path),
+    };
+    const rejection = await validateUpload(file, limits);
+    const label = path.relative(process.cwd(), input.path);
+    if (rejection) {
+      rows.push({
+        file: label,
+        before: null,
+        after: null,
+        note: rejection.error,
+      });
+    } else {
+      valid.push({ input, file, label });
+    }
+  }
+
+  // Everything is compressed into a scratch folder first, then moved into
+  // place (or thrown away on a dry run)
+  const staging = await fs.mkdtemp(path.join(os.tmpdir(), 'sora-lite-'));
+  let failed = rows.length > 0;
+
+  try {
+    const processed = await processFiles(
+      valid.map(v => v.file),
+      {
+        outDir: staging,
+        concurrency: options.concurrency,
+        settings: options.settings,
+        partial: true,
+      }
+    );
+
+    for (const [i, result] of processed.entries()) {
+      const { input, label } = valid[i];
+
+      if (result.error) {
+        failed = true;
+        rows.push({
+          file: label,
+          before: null,
+          after: null,
+          note: result.error,
+        });
+        continue;
+      }
+
+      const variantsSize = result.variants.reduce(
+        (acc, v) => acc + v.sizeAfter,
+        0
+      );
+      const notes = [
+        result.skipped,
+        result.variants.length
+          ? `+${result.variants.length} variants (${formatBytes(variantsSize)})`
+          : null,
+        result.targetSize && !result.targetSize.met
+          ? 'target size not met'
+          : null,
+        result.minSsim && !result.minSsim.met ? 'min SSIM not met' : null,
+        result.metrics ? `SSIM ${result.metrics.ssim}` : null,
+        result.sanitised && result.sanitised.length
+          ? `removed ${result.sanitised.join(', ')}`
+          : null,
+      ].filter(Boolean);
+
+      if (!options.dryRun) {
+        const base = destinationBase(input, options);
+        const target = `${base}${result.extension}`;
+        // An original kept byte for byte is already in place
+        const untouched =
+          result.skipped && result.sizeAfter === result.sizeBefore;
+        if (!(options.inPlace && untouched && target === input.path)) {
+          await moveFile(result.optimizedPath, target);
+        }
+        for (const v of result.variants) {
+          await moveFile(
+            v.optimizedPath,
+            `${base}-${v.width}w${result.extension}`
+          );
+        }
+        notes.unshift(path.relative(process.cwd(), target));
+      }
+
+      rows.push({
+        file: label,
+        before: result.sizeBefore,
+        after: result.sizeAfter,
+        note: notes.join(', '),
+      });
+    }
+  } finally {
+    await fs.rm(staging, { recursive: true, force: true });
+  }
+
+  printSummary(rows, options.dryRun);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(
+  code => {
+    process.exitCode = code;
+  },
+  err => {
+    console.error(`sora-lite: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
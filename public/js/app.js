@@ -3,9 +3,14 @@
  *
  * Handles:
  *  - Drag‑and‑drop / file picker
+ *  - Compression preset picker (GET /presets)
  *  - Preview thumbnails
- *  - Uploading to /upload (fetch)
+ *  - Resumable, chunked uploads to /files (tus protocol)
+ *  - Submitting a processing job to /jobs (fetch)
+ *  - Following per‑file progress over Server‑Sent Events
  *  - Rendering progress & download links
+ *  - Re‑compressing a single file from the compare modal
+ *  - History of past batches (IndexedDB) with an expiry countdown
  */
 
 const fileInput = document.getElementById('fileInput');
@@ -14,9 +19,59 @@ const resultsSection = document.getElementById('results');
 const fileList = document.getElementById('fileList');
 const zipSection = document.getElementById('zipSection');
 const zipLink = document.getElementById('zipLink');
+const reportLink = document.getElementById('reportLink');
+const formatSelect = document.getElementById('formatSelect');
+const presetSelect = document.getElementById('presetSelect');
+const historySection = document.getElementById('history');
+const historyList = document.getElementById('historyList');
 
 let selectedFiles = [];
 
+// Server limits (GET /config) – the server enforces them either way
+const serverLimits = fetch('/config')
+  .then(res => (res.ok ? res.json() : {}))
+  .catch(() => ({}));
+
+// ---------------------------------------------------------------------------
+// Compression presets – picking one also selects its output format, which
+// can still be changed; the choice is remembered for the next visit
+// ---------------------------------------------------------------------------
+const PRESET_KEY = 'sora-lite-preset';
+let presets = [];
+
+async function loadPresets() {
+  try {
+    const res = await fetch('/presets');
+    if (!res.ok) return;
+    ({ presets } = await res.json());
+  } catch (e) {
+    return;
+  }
+
+  for (const preset of presets) {
+    const option = document.createElement('option');
+    option.value = preset.name;
+    option.textContent = preset.name;
+    option.title = preset.description;
+    presetSelect.appendChild(option);
+  }
+  const saved = localStorage.getItem(PRESET_KEY);
+  if (presets.some(p => p.name === saved)) {
+    presetSelect.value = saved;
+    applyPreset();
+  }
+}
+
+function applyPreset() {
+  const preset = presets.find(p => p.name === presetSelect.value);
+  formatSelect.value = (preset && preset.settings.format) || 'keep';
+  presetSelect.title = preset ? preset.description : '';
+  localStorage.setItem(PRESET_KEY, presetSelect.value);
+}
+
+presetSelect.addEventListener('change', applyPreset);
+loadPresets();
+
 // ---------------------------------------------------------------------------
 // Helper: format bytes → human readable
 // ---------------------------------------------------------------------------
@@ -29,6 +84,30 @@ function formatBytes(bytes) {
   return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${sizes[i]}`;
 }
 
+// ---------------------------------------------------------------------------
+// Helper: saved percentage of a processed file
+// ---------------------------------------------------------------------------
+function savedPercent(fileInfo) {
+  return (100 * (1 - fileInfo.sizeAfter / fileInfo.sizeBefore)).toFixed(1);
+}
+
+// ---------------------------------------------------------------------------
+// Helper: perceptual quality of a processed file ("SSIM 0.985 · PSNR 38.2 dB")
+// ---------------------------------------------------------------------------
+function describeMetrics(fileInfo) {
+  if (!fileInfo.metrics) return '';
+  const { ssim, psnr } = fileInfo.metrics;
+  return `SSIM ${ssim.toFixed(3)} · PSNR ${psnr >= 100 ? '∞' : psnr.toFixed(1)} dB`;
+}
+
+// ---------------------------------------------------------------------------
+// Helper: what sanitising took out of an SVG ("Removed <script>, event handlers")
+// ---------------------------------------------------------------------------
+function describeSanitised(fileInfo) {
+  if (!fileInfo.sanitised || !fileInfo.sanitised.length) return '';
+  return `Removed ${fileInfo.sanitised.join(', ')}`;
+}
+
 // ---------------------------------------------------------------------------
 // Drag & Drop UI
 // ---------------------------------------------------------------------------
@@ -51,27 +130,57 @@ function formatBytes(bytes) {
 dropZone.addEventListener('drop', e => {
   const dt = e.dataTransfer;
   const files = dt.files;
-  handleFilesSelection(files);
+  handleFilesSelection(files).then(scheduleUpload);
 });
 
 // ---------------------------------------------------------------------------
 // File input handling
 // ---------------------------------------------------------------------------
 fileInput.addEventListener('change', e => {
-  handleFilesSelection(e.target.files);
+  handleFilesSelection(e.target.files).then(scheduleUpload);
 });
 
-function handleFilesSelection(fileListObj) {
+// Extension → format, mirrored from utils/formats.js
+const EXTENSION_TYPES = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', webp: 'webp', avif: 'avif', gif: 'gif', svg: 'svg' };
+
+// Root <svg> element after an optional prolog, mirrored from utils/validation.js
+const SVG_START = /^\ufeff?\s*((<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!doctype[^>[]*(\[[^\]]*\])?\s*>)\s*)*<svg[\s>/]/i;
+
+// Identify an image from its first bytes (the server runs the full check)
+async function sniffImageType(file) {
+  const bytes = new Uint8Array(await file.slice(0, 32).arrayBuffer());
+  const ascii = (from, to) => String.fromCharCode(...bytes.slice(from, to));
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (bytes[0] === 0x89 && ascii(1, 4) === 'PNG') return 'png';
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (ascii(4, 8) === 'ftyp' && /avi[fs]/.test(ascii(8, 32))) return 'avif';
+  if (/^GIF8[79]a$/.test(ascii(0, 6))) return 'gif';
+  if (SVG_START.test(await file.slice(0, 4096).text())) return 'svg';
+  return null;
+}
+
+async function handleFilesSelection(fileListObj) {
   const filesArray = Array.from(fileListObj);
-  // Filter allowed types
-  const allowed = filesArray.filter(f => /\.(jpe?g|png)$/i.test(f.name));
+  // Filter allowed types – by extension, then by content
+  const types = await Promise.all(filesArray.map(sniffImageType));
+  const allowed = filesArray.filter((f, i) => {
+    const ext = f.name.split('.').pop().toLowerCase();
+    return EXTENSION_TYPES[ext] && EXTENSION_TYPES[ext] === types[i];
+  });
   if (allowed.length !== filesArray.length) {
-    alert('Only .jpg, .jpeg and .png files are allowed.');
+    alert('Only .jpg, .jpeg, .png, .webp, .avif, .gif and .svg images are allowed (some files are not what their extension says).');
   }
 
-  // Enforce max 20 files
-  if (allowed.length + selectedFiles.length > 20) {
-    alert('You can upload a maximum of 20 files at a time.');
+  // Enforce the server's file count and total size limits
+  const { maxFiles, maxTotalSize } = await serverLimits;
+  if (maxFiles && allowed.length + selectedFiles.length > maxFiles) {
+    alert(`You can upload a maximum of ${maxFiles} files at a time.`);
+    return;
+  }
+  const totalSize = selectedFiles.concat(allowed).reduce((acc, f) => acc + f.size, 0);
+  if (maxTotalSize && totalSize > maxTotalSize) {
+    alert(`The total upload size is limited to ${formatBytes(maxTotalSize)}.`);
     return;
   }
 
@@ -106,12 +215,12 @@ function renderPreviews() {
     const progressBar = document.createElement('div');
     progressBar.className = 'w-full bg-neutral-200 rounded-full h-2.5 mt-2';
     const progress = document.createElement('div');
-    progress.className = 'bg-blue-600 h-2.5 rounded-full';
+    progress.className = 'file-progress bg-blue-600 h-2.5 rounded-full';
     progress.style.width = '0%';
     progressBar.appendChild(progress);
 
     const status = document.createElement('p');
-    status.className = 'mt-2 text-sm text-gray-600 dark:text-gray-400';
+    status.className = 'file-status mt-2 text-sm text-gray-600 dark:text-gray-400';
     status.textContent = 'Waiting…';
 
     const container = document.createElement('div');
@@ -125,8 +234,8 @@ function renderPreviews() {
     const btnsContainer = document.createElement('div');
     btnsContainer.className = 'btns-container';
     txt.appendChild(btnsContainer);
-    // txt.appendChild(status);
-    // txt.appendChild(progressBar);
+    txt.appendChild(status);
+    txt.appendChild(progressBar);
 
     container.appendChild(txt);
     li.appendChild(container);
@@ -135,18 +244,246 @@ function renderPreviews() {
 }
 
 // ---------------------------------------------------------------------------
-// Upload all selected files
+// Per‑file progress: status line + progress bar of a file card
+// ---------------------------------------------------------------------------
+function setFileProgress(idx, percent, text, failed = false) {
+  const li = document.getElementById(`file-${idx}`);
+  if (!li) return;
+
+  const status = li.querySelector('.file-status');
+  const progress = li.querySelector('.file-progress');
+  status.textContent = text;
+  progress.style.width = `${percent}%`;
+  progress.classList.toggle('bg-blue-600', !failed);
+  progress.classList.toggle('bg-red-600', failed);
+}
+
+// ---------------------------------------------------------------------------
+// Render the result of one processed file (sizes, download & compare)
+// ---------------------------------------------------------------------------
+function renderFileResult(idx, fileInfo, batchId) {
+  const li = document.getElementById(`file-${idx}`);
+  // Events are replayed when the stream reconnects – render only once
+  if (!li || li.dataset.done) return;
+  li.dataset.done = 'true';
+
+  // child div.inner-file of li
+  const containerBtn = li.querySelector('.inner-file .btns-container');
+  const showCompressed = () =>
+    setFileProgress(idx, 100, `Compressed – ${formatBytes(fileInfo.sizeAfter)} (saved ${savedPercent(fileInfo)}%${fileInfo.metrics ? `, SSIM ${fileInfo.metrics.ssim.toFixed(3)}` : ''}${fileInfo.sanitised && fileInfo.sanitised.length ? ', sanitised' : ''})`);
+  showCompressed();
+
+  // Add download button
+  const dlBtn = document.createElement('a');
+  dlBtn.href = fileInfo.downloadUrl;
+  dlBtn.textContent = 'Download';
+  dlBtn.className = 'inline-block bg-green-600 hover:bg-green-700 text-white font-medium py-1 px-2 rounded mt-2';
+  dlBtn.setAttribute('download', fileInfo.optimizedName);
+  containerBtn.appendChild(dlBtn);
+
+  // Add compare button
+  const CompareBtn = document.createElement('a');
+  CompareBtn.href = "#";
+  CompareBtn.textContent = 'Compare';
+  CompareBtn.className = 'inline-block bg-yellow-600 hover:bg-yellow-700 text-white font-medium py-1 px-2 rounded mt-2';
+  CompareBtn.id = `openModalBtn-${idx}`;
+  CompareBtn.setAttribute('compare', fileInfo.optimizedName);
+  containerBtn.appendChild(CompareBtn);
+
+  CompareBtn.addEventListener('click', () => {
+    openDynamicModal({
+      title: fileInfo.originalName,
+      imgBefore: fileInfo.uploadUrl,
+      imgAfter: fileInfo.downloadUrl,
+      details: fileInfo,
+      // An accepted re‑compression replaces the download and the ZIP
+      onConfirm: ({ file, zip }) => {
+        Object.assign(fileInfo, file);
+        dlBtn.href = file.downloadUrl;
+        dlBtn.setAttribute('download', file.optimizedName);
+        showCompressed();
+        if (zip) zipLink.href = zip.url;
+        syncHistoryEntry(batchId).then(renderHistory);
+      }
+    });
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Follow a job over Server‑Sent Events until it completes
+// ---------------------------------------------------------------------------
+function followJob(job) {
+  const events = new EventSource(job.eventsUrl);
+
+  events.addEventListener('queued', e => {
+    const file = JSON.parse(e.data);
+    setFileProgress(file.index, 45, 'Queued…');
+  });
+
+  events.addEventListener('processing', e => {
+    const file = JSON.parse(e.data);
+    setFileProgress(file.index, 50, 'Compressing…');
+  });
+
+  events.addEventListener('done', e => {
+    const file = JSON.parse(e.data);
+    renderFileResult(file.index, file.result, job.batchId);
+  });
+
+  events.addEventListener('failed', e => {
+    const file = JSON.parse(e.data);
+    const label = file.code === 'processing_failed' ? 'Failed' : 'Rejected';
+    setFileProgress(file.index, 100, `${label} – ${file.error}`, true);
+  });
+
+  events.addEventListener('complete', e => {
+    events.close();
+    const result = JSON.parse(e.data);
+    if (result.status === 'failed') {
+      alert(result.error || 'Processing failed');
+      return;
+    }
+    zipLink.classList.toggle('hidden', !result.result.zip);
+    if (result.result.zip) zipLink.href = result.result.zip.url;
+    // The report covers single files too (manifest.json / report.csv of the ZIP)
+    reportLink.href = `/batches/${job.batchId}/report?format=csv`;
+    reportLink.classList.remove('hidden');
+    zipSection.classList.remove('hidden');
+    saveToHistory(job.batchId);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Resumable upload of one file (tus protocol on /files)
+// Chunks carry a SHA‑256 checksum; after a network drop the upload resumes
+// from what the server has. The upload URL is kept in localStorage, so
+// picking the same file again after a reload resumes it too.
+// ---------------------------------------------------------------------------
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+// Waits between attempts of a chunk, then the upload gives up
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000, 30000];
+
+function uploadKey(file) {
+  return `sora-upload:${file.name}:${file.size}:${file.lastModified}`;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+// Upload-Checksum of a chunk – crypto.subtle only exists on secure pages
+// (HTTPS, localhost); elsewhere chunks are sent without checksum
+async function chunkChecksum(chunk) {
+  if (!window.crypto || !window.crypto.subtle) return null;
+  const digest = await window.crypto.subtle.digest('SHA-256', await chunk.arrayBuffer());
+  return `sha256 ${toBase64(digest)}`;
+}
+
+// Error that retrying will not fix
+function uploadError(message) {
+  return Object.assign(new Error(message), { final: true });
+}
+
+async function createUpload(file) {
+  const response = await fetch('/files', {
+    method: 'POST',
+    headers: {
+      ...TUS_HEADERS,
+      'Upload-Length': String(file.size),
+      'Upload-Metadata': `filename ${toBase64(new TextEncoder().encode(file.name))}`
+    }
+  });
+  if (!response.ok) {
+    const err = await response.json().catch(() => ({}));
+    throw uploadError(err.error || `Could not start the upload of ${file.name}`);
+  }
+  return response.headers.get('Location');
+}
+
+// Bytes the server has of an upload, or null when it no longer exists
+async function uploadOffset(url) {
+  const response = await fetch(url, { method: 'HEAD', headers: TUS_HEADERS });
+  return response.ok ? Number(response.headers.get('Upload-Offset')) : null;
+}
+
+async function uploadFile(file, onProgress) {
+  const key = uploadKey(file);
+  let url = localStorage.getItem(key);
+  let offset = url ? await uploadOffset(url) : null;
+  if (offset === null) {
+    url = await createUpload(file);
+    offset = 0;
+    localStorage.setItem(key, url);
+  }
+
+  let attempt = 0;
+  while (offset < file.size) {
+    onProgress(offset / file.size);
+    const chunk = file.slice(offset, offset + CHUNK_SIZE);
+
+    try {
+      const headers = {
+        ...TUS_HEADERS,
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset)
+      };
+      const checksum = await chunkChecksum(chunk);
+      if (checksum) headers['Upload-Checksum'] = checksum;
+
+      const response = await fetch(url, { method: 'PATCH', headers, body: chunk });
+      if (response.ok) {
+        offset = Number(response.headers.get('Upload-Offset'));
+        attempt = 0;
+        continue;
+      }
+      // Wrong offset, busy, rate limited or corrupted: sync up and retry
+      if (![409, 423, 429, 460].includes(response.status) && response.status < 500) {
+        const err = await response.json().catch(() => ({}));
+        throw uploadError(err.error || `Upload of ${file.name} failed`);
+      }
+    } catch (e) {
+      if (e.final) throw e;
+      console.warn(`Upload of ${file.name} interrupted`, e);
+    }
+
+    if (attempt >= RETRY_DELAYS.length) {
+      throw uploadError(`Upload of ${file.name} failed – check your connection and pick the file again to resume.`);
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_DELAYS[attempt++]));
+    // The connection may still be down – then try the same chunk again
+    const current = await uploadOffset(url).catch(() => offset);
+    if (current === null) {
+      localStorage.removeItem(key);
+      throw uploadError(`The upload of ${file.name} has expired, please try again.`);
+    }
+    offset = current;
+  }
+
+  onProgress(1);
+  return url.split('/').pop();
+}
+
+// ---------------------------------------------------------------------------
+// Upload all selected files, then process them as a job
 // ---------------------------------------------------------------------------
 async function uploadAll() {
   if (selectedFiles.length === 0) return;
 
-  const formData = new FormData();
-  selectedFiles.forEach(f => formData.append('images', f));
-
   try {
-    const response = await fetch('/upload', {
+    const uploads = [];
+    for (const [idx, file] of selectedFiles.entries()) {
+      uploads.push(
+        await uploadFile(file, done =>
+          setFileProgress(idx, Math.round(40 * done), `Uploading… ${Math.round(100 * done)}%`)
+        )
+      );
+    }
+
+    const response = await fetch('/jobs', {
       method: 'POST',
-      body: formData
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ preset: presetSelect.value, format: formatSelect.value, uploads })
     });
 
     if (!response.ok) {
@@ -155,55 +492,12 @@ async function uploadAll() {
       return;
     }
 
-    const result = await response.json();
-    // Update UI with after‑size and download links
-    result.files.forEach((fileInfo, idx) => {
-      const li = document.getElementById(`file-${idx}`);
-      // child div.inner-file of li
-      const containerBtn = li.querySelector('.inner-file .btns-container');
-      const status = li.querySelector('p.text-sm');
-      const progress = li.querySelector('div > div');
-      status.textContent = `Compressed – ${formatBytes(fileInfo.sizeAfter)} (saved ${(
-        100 *
-        (1 - fileInfo.sizeAfter / fileInfo.sizeBefore)
-      ).toFixed(1)}%)`;
-      progress.style.width = '100%';
-      // Add download button
-      const dlBtn = document.createElement('a');
-      dlBtn.href = fileInfo.downloadUrl;
-      dlBtn.textContent = 'Download';
-      dlBtn.className = 'inline-block bg-green-600 hover:bg-green-700 text-white font-medium py-1 px-2 rounded mt-2';
-      dlBtn.setAttribute('download', fileInfo.optimizedName);
-      containerBtn.appendChild(dlBtn);
-
-      
-      // Add download button
-      const CompareBtn = document.createElement('a');
-      CompareBtn.href = "#";
-      CompareBtn.textContent = 'Compare';
-      CompareBtn.className = 'inline-block bg-yellow-600 hover:bg-yellow-700 text-white font-medium py-1 px-2 rounded mt-2';
-      CompareBtn.id = `openModalBtn-${idx}`;
-      CompareBtn.setAttribute('compare', fileInfo.optimizedName);
-      containerBtn.appendChild(CompareBtn);
-
-      // Exemple d’utilisation :
-      document.getElementById(`openModalBtn-${idx}`).addEventListener('click', () => {
-            openDynamicModal({
-              title: fileInfo.originalName,
-              imgBefore: fileInfo.uploadUrl,
-              imgAfter: fileInfo.downloadUrl,
-              details : fileInfo
-          });
-      });
-    });
-
-    if (result.zip) {
-      zipLink.href = result.zip.url;
-      zipSection.classList.remove('hidden');
-    }
+    // The uploads now belong to the job
+    selectedFiles.forEach(f => localStorage.removeItem(uploadKey(f)));
+    followJob(await response.json());
   } catch (e) {
     console.error(e);
-    alert('Something went wrong while uploading.');
+    alert(e.final ? e.message : 'Something went wrong while uploading.');
   }
 }
 
@@ -211,22 +505,279 @@ async function uploadAll() {
 // Trigger upload when files are selected (auto‑start)
 // ---------------------------------------------------------------------------
 
-fileInput.addEventListener('change', () => {
+// Called once a file‑picker or drag‑and‑drop selection has been checked
+function scheduleUpload() {
   // Small timeout to allow UI to render previews before uploading
   setTimeout(uploadAll, 300);
-});
+}
 
-// Also start upload after a drag‑and‑drop selection
-dropZone.addEventListener('drop', () => {
-  setTimeout(uploadAll, 300);
-});
+// ---------------------------------------------------------------------------
+// Batch history – past batches are kept in IndexedDB so their links survive
+// a reload, with a countdown until the server deletes the files
+// ---------------------------------------------------------------------------
+const HISTORY_DB = 'sora-lite';
+const HISTORY_STORE = 'batches';
+// Older batches are dropped from the history
+const HISTORY_LIMIT = 50;
+
+let historyDb = null;
+
+function openHistory() {
+  if (!historyDb) {
+    historyDb = new Promise((resolve, reject) => {
+      const request = indexedDB.open(HISTORY_DB, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(HISTORY_STORE, { keyPath: 'batchId' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return historyDb;
+}
+
+// Run one request on the history store
+async function historyRequest(mode, makeRequest) {
+  const db = await openHistory();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Newest first
+async function historyEntries() {
+  const entries = await historyRequest('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+// History entry from GET /batches/:id – the expiry is moved to the local
+// clock, which may differ from the server's
+function historyEntry(batch, savedAt) {
+  return {
+    batchId: batch.batchId,
+    savedAt,
+    files: batch.files.map(f => ({
+      originalName: f.originalName,
+      optimizedName: f.optimizedName,
+      downloadUrl: f.downloadUrl,
+      sizeBefore: f.sizeBefore,
+      sizeAfter: f.sizeAfter,
+      settings: f.settings
+    })),
+    zip: batch.zip,
+    expiresAt: batch.remainingMs === null ? null : Date.now() + batch.remainingMs,
+    extendable: batch.extendable,
+    expired: false
+  };
+}
+
+// Store what the server says about a batch; resolves to the entry
+async function storeHistoryEntry(batch, savedAt) {
+  const entry = historyEntry(batch, savedAt);
+  await historyRequest('readwrite', store => store.put(entry));
+  return entry;
+}
+
+async function markExpired(entry) {
+  entry.expired = true;
+  entry.extendable = false;
+  await historyRequest('readwrite', store => store.put(entry));
+}
+
+// Refresh a stored batch from the server (files may have been re‑compressed,
+// the expiry extended); a batch the server no longer has is marked expired
+async function syncHistoryEntry(batchId) {
+  try {
+    const entry = await historyRequest('readonly', store => store.get(batchId));
+    if (!entry || entry.expired) return;
+
+    const response = await fetch(`/batches/${batchId}`);
+    if (response.status === 404) return await markExpired(entry);
+    if (response.ok) await storeHistoryEntry(await response.json(), entry.savedAt);
+  } catch (e) {
+    console.warn(`Could not refresh batch ${batchId}`, e);
+  }
+}
+
+// Add a finished batch to the history, dropping the oldest beyond the limit
+async function saveToHistory(batchId) {
+  try {
+    const response = await fetch(`/batches/${batchId}`);
+    if (!response.ok) return;
+    await storeHistoryEntry(await response.json(), Date.now());
+
+    const stale = (await historyEntries()).slice(HISTORY_LIMIT);
+    for (const entry of stale) {
+      await historyRequest('readwrite', store => store.delete(entry.batchId));
+    }
+    renderHistory();
+  } catch (e) {
+    console.warn('Could not save the batch to the history', e);
+  }
+}
+
+// "1 h 05 min", "4:09"
+function formatRemaining(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  if (minutes >= 60) return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function renderHistoryEntry(entry) {
+  const li = document.createElement('li');
+  li.className = 'border rounded-lg p-4 bg-neutral-50 dark:bg-neutral-800';
+
+  const sizeBefore = entry.files.reduce((acc, f) => acc + f.sizeBefore, 0);
+  const sizeAfter = entry.files.reduce((acc, f) => acc + f.sizeAfter, 0);
+  const header = document.createElement('div');
+  header.className = 'flex justify-between gap-4';
+  const title = document.createElement('p');
+  title.className = 'font-medium';
+  title.textContent = `${new Date(entry.savedAt).toLocaleString()} – ${entry.files.length} file(s), ${formatBytes(sizeBefore)} → ${formatBytes(sizeAfter)} (saved ${savedPercent({ sizeBefore, sizeAfter })}%)`;
+  const countdown = document.createElement('p');
+  countdown.className = 'history-countdown text-sm text-gray-600 dark:text-gray-400';
+  countdown.dataset.batchId = entry.batchId;
+  if (entry.expired) {
+    countdown.textContent = 'Expired';
+  } else if (entry.expiresAt === null) {
+    countdown.textContent = 'No expiry';
+  } else {
+    countdown.dataset.expiresAt = entry.expiresAt;
+  }
+  header.appendChild(title);
+  header.appendChild(countdown);
+  li.appendChild(header);
+
+  // Download links – plain, struck‑through names once the files are gone
+  const files = document.createElement('ul');
+  files.className = 'mt-2 text-sm space-y-1';
+  entry.files.forEach(f => {
+    const item = document.createElement('li');
+    const link = document.createElement(entry.expired ? 'span' : 'a');
+    link.textContent = f.optimizedName;
+    if (entry.expired) {
+      link.className = 'line-through text-gray-500';
+    } else {
+      link.href = f.downloadUrl;
+      link.setAttribute('download', f.optimizedName);
+      link.className = 'text-blue-500 hover:underline';
+    }
+    const details = document.createElement('span');
+    details.className = 'text-gray-600 dark:text-gray-400';
+    const format = f.settings && f.settings.format !== 'keep' ? `, ${f.settings.format}` : '';
+    details.textContent = ` – ${f.originalName}, ${formatBytes(f.sizeBefore)} → ${formatBytes(f.sizeAfter)}${format}`;
+    item.appendChild(link);
+    item.appendChild(details);
+    files.appendChild(item);
+  });
+  li.appendChild(files);
+
+  const btnsContainer = document.createElement('div');
+  btnsContainer.className = 'btns-container mt-2';
+
+  if (entry.zip && !entry.expired) {
+    const zip = document.createElement('a');
+    zip.href = entry.zip.url;
+    zip.textContent = 'ZIP';
+    zip.className = 'inline-block bg-green-600 hover:bg-green-700 text-white font-medium py-1 px-2 rounded';
+    btnsContainer.appendChild(zip);
+  }
+
+  if (entry.extendable && !entry.expired) {
+    const extendBtn = document.createElement('button');
+    extendBtn.textContent = 'Keep longer';
+    extendBtn.className = 'bg-blue-600 hover:bg-blue-700 text-white font-medium py-1 px-2 rounded';
+    extendBtn.addEventListener('click', () => extendBatch(entry));
+    btnsContainer.appendChild(extendBtn);
+  }
+
+  const removeBtn = document.createElement('button');
+  removeBtn.textContent = 'Remove';
+  removeBtn.className = 'bg-neutral-600 hover:bg-neutral-700 text-white font-medium py-1 px-2 rounded';
+  removeBtn.addEventListener('click', async () => {
+    await historyRequest('readwrite', store => store.delete(entry.batchId));
+    renderHistory();
+  });
+  btnsContainer.appendChild(removeBtn);
+
+  li.appendChild(btnsContainer);
+  return li;
+}
+
+async function renderHistory() {
+  try {
+    const entries = await historyEntries();
+    historyList.innerHTML = '';
+    entries.forEach(entry => historyList.appendChild(renderHistoryEntry(entry)));
+    historySection.classList.toggle('hidden', entries.length === 0);
+    updateCountdowns();
+  } catch (e) {
+    // No IndexedDB (private mode in some browsers): no history
+    console.warn('Batch history unavailable', e);
+  }
+}
+
+// Ask the server to keep a batch longer
+async function extendBatch(entry) {
+  try {
+    const response = await fetch(`/batches/${entry.batchId}/extend`, { method: 'POST' });
+    const result = await response.json();
+    if (response.status === 404) {
+      await markExpired(entry);
+    } else if (!response.ok) {
+      alert(result.error || 'Could not extend the batch');
+      entry.extendable = false;
+      await historyRequest('readwrite', store => store.put(entry));
+    } else {
+      await storeHistoryEntry(result, entry.savedAt);
+    }
+  } catch (e) {
+    console.error(e);
+    alert('Something went wrong while extending the batch.');
+  }
+  renderHistory();
+}
 
+// Tick every countdown; entries that run out are marked expired
+async function updateCountdowns() {
+  let expired = false;
+  for (const countdown of historyList.querySelectorAll('.history-countdown[data-expires-at]')) {
+    const remaining = Number(countdown.dataset.expiresAt) - Date.now();
+    if (remaining > 0) {
+      countdown.textContent = `Expires in ${formatRemaining(remaining)}`;
+      continue;
+    }
+    const entry = await historyRequest('readonly', store => store.get(countdown.dataset.batchId));
+    if (entry) await markExpired(entry);
+    expired = true;
+  }
+  if (expired) renderHistory();
+}
+
+setInterval(updateCountdowns, 1000);
+
+// Show the history right away, then catch up with the server
+renderHistory()
+  .then(historyEntries)
+  .then(entries => Promise.all(entries.map(entry => syncHistoryEntry(entry.batchId))))
+  .then(renderHistory)
+  .catch(e => console.warn('Batch history unavailable', e));
 
 // ---------------------------------------------------------------------------
 // Modal Comparaison Slider
 // ---------------------------------------------------------------------------
 
+// Output formats offered when re‑compressing from the modal
+const OUTPUT_FORMATS = { jpeg: 'JPEG', png: 'PNG', webp: 'WebP', avif: 'AVIF', gif: 'GIF' };
+
 function openDynamicModal({ title, imgBefore, imgAfter, details, onConfirm }) {
+  const quality = details.settings.quality || 75;
+  const minSsim = details.settings.minSsim || 0.98;
+  const formatOptions = Object.entries(OUTPUT_FORMATS)
+    .map(([value, label]) => `<option value="${value}" ${value === details.format ? 'selected' : ''}>${label}</option>`)
+    .join('');
+
   // Créer le conteneur global de la modal
   const modal = document.createElement('div');
   modal.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black/50 backdrop-blur-sm';
@@ -235,29 +786,42 @@ function openDynamicModal({ title, imgBefore, imgAfter, details, onConfirm }) {
   modal.innerHTML = `
     <div class="bg-white rounded-lg shadow-lg p-6 w-full max-w-4xl mx-4 transform transition-all duration-200 ease-out scale-95 opacity-0">
       <header class="flex justify-between items-center">
-        <h2 class="text-lg font-semibold text-gray-900">${title}</h2>
+        <h2 class="text-lg font-semibold text-gray-900"></h2>
         <button id="closeModalBtn" class="text-gray-500 hover:text-gray-800 text-xl leading-none">&times;</button>
       </header>
       <main class="main-modal mt-4 text-gray-700">
         
-        <div id="image-compare">
-          <img src="${imgBefore}" alt="" />
-          <img src="${imgAfter}" alt="" />
-        </div>
+        <div id="image-compare"></div>
 
         <div class="details-infos">
         
           <p>${formatBytes(details.sizeBefore)} <small>(Original)</small></p>
 
-
-
-          <p>${formatBytes(details.sizeAfter)} <small>(saved ${(
-        100 *
-        (1 - details.sizeAfter / details.sizeBefore)
-      ).toFixed(1)}%)</small></p>
+          <p class="size-after"></p>
           
         </div>
       </main>
+      <footer class="recompress-controls mt-4 flex flex-wrap items-end gap-4 text-sm text-gray-700 ${details.recompressUrl ? '' : 'hidden'}">
+        <label class="flex flex-col">
+          <span>Quality <span class="quality-value">${quality}</span></span>
+          <input name="quality" type="range" min="1" max="100" value="${quality}" ${details.settings.minSsim ? 'disabled' : ''} />
+        </label>
+        <label class="flex flex-col">
+          <span><input name="auto" type="checkbox" ${details.settings.minSsim ? 'checked' : ''} /> Min SSIM</span>
+          <input name="minSsim" type="number" min="0.5" max="1" step="0.005" value="${minSsim}" class="w-24 rounded border py-1 px-2" />
+        </label>
+        <label class="flex flex-col">
+          Format
+          <select name="format" class="rounded border py-1 px-2">${formatOptions}</select>
+        </label>
+        <label class="flex flex-col">
+          Max width (px)
+          <input name="maxWidth" type="number" min="1" placeholder="${details.width}" class="w-28 rounded border py-1 px-2" />
+        </label>
+        <p class="recompress-status flex-1 text-gray-500"></p>
+        <button id="cancelBtn" class="bg-neutral-200 hover:bg-neutral-300 text-gray-800 font-medium py-1 px-3 rounded">Cancel</button>
+        <button id="confirmBtn" disabled class="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-medium py-1 px-3 rounded">Apply</button>
+      </footer>
     </div>
   `;
 
@@ -267,6 +831,12 @@ function openDynamicModal({ title, imgBefore, imgAfter, details, onConfirm }) {
   const closeBtn = modal.querySelector('#closeModalBtn');
   const cancelBtn = modal.querySelector('#cancelBtn');
   const confirmBtn = modal.querySelector('#confirmBtn');
+  const controls = modal.querySelector('.recompress-controls');
+  const statusLine = modal.querySelector('.recompress-status');
+  const sizeAfter = modal.querySelector('.size-after');
+
+  // The title is the uploaded file name – text, never markup
+  modal.querySelector('h2').textContent = title;
 
   // petite animation d’apparition
   requestAnimationFrame(() => {
@@ -283,19 +853,126 @@ function openDynamicModal({ title, imgBefore, imgAfter, details, onConfirm }) {
 
   // Gestion des événements
   closeBtn.addEventListener('click', closeModal);
-  // cancelBtn.addEventListener('click', closeModal);
-  // confirmBtn.addEventListener('click', () => {
-  //   if (typeof onConfirm === 'function') onConfirm();
-  //   closeModal();
-  // });
+  cancelBtn.addEventListener('click', closeModal);
 
   // Clic sur l’arrière-plan
   modal.addEventListener('click', (e) => {
     if (e.target === modal) closeModal();
   });
 
-  const element = document.getElementById("image-compare");
-  const viewer = new ImageCompare(element).mount();
+  const element = modal.querySelector('#image-compare');
+
+  // Fill the slider with the original and a compressed version
+  function showImages(after) {
+    element.replaceChildren(
+      ...[imgBefore, after].map(src => {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = '';
+        return img;
+      })
+    );
+    new ImageCompare(element).mount();
+  }
+  showImages(imgAfter);
+
+  // Show a compressed version in the slider and its size
+  function showResult(info) {
+    sizeAfter.innerHTML = `${formatBytes(info.sizeAfter)} <small>(saved ${savedPercent(info)}%)</small><small>${describeMetrics(info) || describeSanitised(info)}</small>`;
+  }
+  showResult(details);
+
+  function showPreview(info) {
+    showImages(info.downloadUrl);
+    showResult(info);
+  }
+
+  // Re‑compression – every change asks the server for a new revision of the
+  // file; only the answer to the latest change is shown
+  let revision = null;
+  let latest = 0;
+  let debounce = null;
+
+  async function recompress() {
+    const request = ++latest;
+    revision = null;
+    confirmBtn.disabled = true;
+    statusLine.textContent = 'Compressing…';
+
+    // Only the tuned fields are sent: the server keeps the rest of what the
+    // file was uploaded with. The quality comes from the slider or, with
+    // "Min SSIM", from the server – an empty value clears the other choice
+    // and any target size. An empty max width keeps the uploaded one.
+    const auto = controls.querySelector('[name="auto"]').checked;
+    const maxWidth = controls.querySelector('[name="maxWidth"]').value;
+    const settings = {
+      format: controls.querySelector('[name="format"]').value,
+      quality: auto ? '' : controls.querySelector('[name="quality"]').value,
+      minSsim: auto ? controls.querySelector('[name="minSsim"]').value : '',
+      targetSize: '',
+      maxWidth: maxWidth || undefined
+    };
+
+    try {
+      const response = await fetch(details.recompressUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+      });
+      const result = await response.json();
+      if (request !== latest) return;
+
+      if (!response.ok) {
+        statusLine.textContent = result.error || 'Compression failed';
+        return;
+      }
+      revision = result.revision;
+      showPreview(result);
+      statusLine.textContent = result.minSsim ? `Quality ${result.minSsim.quality}${result.minSsim.met ? '' : ' – SSIM not reached'}` : '';
+      confirmBtn.disabled = false;
+    } catch (e) {
+      console.error(e);
+      if (request === latest) statusLine.textContent = 'Compression failed';
+    }
+  }
+
+  controls.addEventListener('input', e => {
+    if (e.target.name === 'quality') {
+      controls.querySelector('.quality-value').textContent = e.target.value;
+    }
+    if (e.target.name === 'auto') {
+      controls.querySelector('[name="quality"]').disabled = e.target.checked;
+    }
+    clearTimeout(debounce);
+    debounce = setTimeout(recompress, 400);
+  });
+
+  // Apply the current revision: it replaces the download and the ZIP entry
+  confirmBtn.addEventListener('click', async () => {
+    if (!revision) return;
+    confirmBtn.disabled = true;
+    statusLine.textContent = 'Applying…';
+
+    try {
+      const response = await fetch(`${details.recompressUrl}/accept`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ revision })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        statusLine.textContent = result.error || 'Could not apply the new settings';
+        confirmBtn.disabled = false;
+        return;
+      }
+      if (typeof onConfirm === 'function') onConfirm(result);
+      closeModal();
+    } catch (e) {
+      console.error(e);
+      statusLine.textContent = 'Could not apply the new settings';
+      confirmBtn.disabled = false;
+    }
+  });
 
   // Fermeture via la touche Échap
   document.addEventListener('keydown', function escHandler(e) {
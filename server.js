@@ -9,25 +9,97 @@ const path = require('path');
 const fs = require('fs').promises;
 const multer = require('multer');
 const { createZip, processFiles } = require('./utils/processor');
+const { createWorkerPool } = require('./utils/pool');
+const { createStorage } = require('./utils/storage');
+const {
+  parseImageId,
+  readImageQuery,
+  isAllowed,
+  negotiateFormat,
+  renditionKey,
+  renditionFields,
+} = require('./utils/renditions');
+const { parseSettings } = require('./utils/settings');
+const { FORMATS, ALLOWED_UPLOAD, formatFromName } = require('./utils/formats');
+const { validateUpload } = require('./utils/validation');
+const { createResultCache } = require('./utils/cache');
+const { loadConfig, publicConfig } = require('./utils/config');
+const { loadTls, watchCertificates } = require('./utils/tls');
+const { createKeyStore, originAllowed } = require('./utils/apiKeys');
+const { createPresetStore } = require('./utils/presets');
+const quotas = require('./utils/quotas');
+const jobs = require('./utils/jobs');
+const metrics = require('./utils/metrics');
+const { runHealthChecks } = require('./utils/health');
+const { createWebhookSender } = require('./utils/webhooks');
+const {
+  REPORT_FILES,
+  createReport,
+  reportCsv,
+  reportEntries,
+} = require('./utils/report');
+const {
+  createResumableStore,
+  TUS_REQUEST_HEADERS,
+  TUS_RESPONSE_HEADERS,
+} = require('./utils/resumable');
+const {
+  createBatch,
+  removeBatch,
+  expireBatches,
+  readBatchIndex,
+  writeBatchIndex,
+  updateBatchIndex,
+} = require('./utils/batches');
 const cron = require('node-cron');
 const winston = require('winston');
 
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
 
 // -----------------------------------------------------------------------------
-// Configuration constants
+// Configuration – defaults, then sora-lite.config.{json,yaml}, then env vars
+// (see utils/config.js). Invalid values stop the server before it starts.
 // -----------------------------------------------------------------------------
+let config;
+try {
+  config = loadConfig();
+} catch (configErr) {
+  console.error(configErr.message);
+  process.exit(1);
+}
 
-const PORT = process.env.PORT || 7841;
-const PORT_SSL = process.env.PORT_SSL || 7840; // separate env var for clarity
-const CLEANUP_ENABLED = true;
-const CLEANUP_AFTER_MS = 5 * 60 * 1000; // 5 minutes
-const MAX_TOTAL_SIZE = 100 * 1024 * 1024; // 100 MiB
-const MAX_FILES = 20;
+const PORT = config.port;
+const PORT_SSL = config.portSsl;
+const CLEANUP_ENABLED = config.cleanupEnabled;
+const CLEANUP_AFTER_MS = config.cleanupAfterMs;
+const BATCH_MAX_LIFETIME_MS = config.batchMaxLifetimeMs; // cap of /extend
+const ZIP_REPORT = config.zipReport; // manifest.json + report.csv in ZIPs
+const MAX_TOTAL_SIZE = config.maxTotalSize;
+const MAX_FILES = config.maxFiles;
+const MAX_PIXELS = config.maxPixels; // per image
+const MAX_DIMENSION = config.maxDimension; // px per side
+const CONCURRENCY = config.concurrency; // files processed at once, server‑wide
+const QUEUE_MAX_FILES = config.queueMaxFiles; // files waiting for a worker
+const FILE_TIMEOUT_MS = config.fileTimeoutMs;
+const CACHE_MAX_BYTES = config.cacheMaxBytes; // 0 disables the result cache
+const HTTPS_REDIRECT = config.httpsRedirect;
+const API_KEYS_FILE = config.apiKeysFile; // null = anonymous access only
+const ADMIN_TOKEN = config.adminToken; // null = no admin API
+const PRESETS_FILE = config.presetsFile; // custom compression presets
+const IMG_MAX_AGE = config.imgMaxAge; // s, Cache-Control of /img renditions
+const IMG_RENDERS_PER_MINUTE = config.imgRendersPerMinute; // per IP, 0 = off
+const WEBHOOK_SECRET = config.webhookSecret; // null = no callbackUrl accepted
+const WEBHOOK_FETCH_MARGIN_MS = 60 * 1000; // last retry before batch expiry
+const MAX_REVISIONS = 50; // pending re‑compressions kept per file
+const RESUMABLE_EXPIRES_MS = config.resumableExpiresMs; // idle tus uploads
 
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
-const OPTIMIZED_DIR = path.join(__dirname, 'optimized');
+const UPLOAD_DIR = config.uploadDir;
+const OPTIMIZED_DIR = config.optimizedDir;
+const CACHE_DIR = config.cacheDir;
+const RESUMABLE_DIR = path.join(UPLOAD_DIR, 'resumable'); // same file system
 
 // -----------------------------------------------------------------------------
 // Winston logger
@@ -50,23 +122,97 @@ async function ensureFolders() {
   await fs.mkdir(UPLOAD_DIR, { recursive: true });
   await fs.mkdir(OPTIMIZED_DIR, { recursive: true });
 }
+if (config.configFile) logger.info(`Loaded config from ${config.configFile}`);
 ensureFolders().catch(err => logger.error(`Folder init error: ${err}`));
 
 // -----------------------------------------------------------------------------
-// Multer – temporary storage in /uploads
+// Result cache – identical files with identical settings are compressed once.
+// Size‑capped with LRU eviction; the cleanup cron never touches it.
+// -----------------------------------------------------------------------------
+let resultCache = null;
+if (CACHE_MAX_BYTES > 0) {
+  createResultCache({ dir: CACHE_DIR, maxBytes: CACHE_MAX_BYTES })
+    .then(cache => {
+      resultCache = cache;
+      const { entries, bytes } = cache.stats();
+      logger.info(`Result cache ready (${entries} entries, ${bytes} bytes)`);
+    })
+    .catch(err => logger.error(`Result cache disabled: ${err.message}`));
+}
+
+// -----------------------------------------------------------------------------
+// Storage – where processed batches are kept and downloaded from: the local
+// folders, or an S3‑compatible bucket shared by every replica (then the local
+// folders are only scratch space while a batch is processed).
+// -----------------------------------------------------------------------------
+const batchStorage = createStorage(config);
+
+// -----------------------------------------------------------------------------
+// Worker pool – every request shares CONCURRENCY worker threads and a queue
+// of QUEUE_MAX_FILES; uploads that do not fit are refused with 503.
+// Synchronous uploads (a client is waiting) go before background jobs.
+// -----------------------------------------------------------------------------
+const pool = createWorkerPool({
+  size: CONCURRENCY,
+  maxQueue: QUEUE_MAX_FILES,
+  timeoutMs: FILE_TIMEOUT_MS,
+});
+
+// -----------------------------------------------------------------------------
+// Metrics – queue depth and active jobs are read on every scrape
+// -----------------------------------------------------------------------------
+metrics.trackGauges({ queueStats: pool.stats, activeJobs: jobs.countActive });
+
+// -----------------------------------------------------------------------------
+// Webhooks – an upload may name a callbackUrl; the batch summary is POSTed
+// there, signed with WEBHOOK_SECRET, once processing ends (utils/webhooks.js)
+// -----------------------------------------------------------------------------
+const webhooks = WEBHOOK_SECRET
+  ? createWebhookSender({
+      secret: WEBHOOK_SECRET,
+      maxAttempts: config.webhookMaxAttempts,
+      allowPrivate: config.webhookAllowPrivate,
+      onAttempt: (delivery, outcome) => {
+        metrics.recordWebhookAttempt(outcome);
+        if (outcome === 'delivered') return;
+        const { error } = delivery.attempts[delivery.attempts.length - 1];
+        logger.warn(
+          `Webhook ${delivery.id} to ${delivery.url}: ${error} (${outcome})`
+        );
+      },
+    })
+  : null;
+
+// -----------------------------------------------------------------------------
+// Resumable uploads – files sent in chunks over the tus protocol to /files,
+// then named in the `uploads` field of POST /upload or /jobs
+// -----------------------------------------------------------------------------
+const resumable = createResumableStore({
+  dir: RESUMABLE_DIR,
+  maxSize: MAX_TOTAL_SIZE,
+  expiresMs: RESUMABLE_EXPIRES_MS,
+  allowed: ALLOWED_UPLOAD,
+});
+
+// Set once the servers listen (and the API keys are loaded)
+let ready = false;
+
+// -----------------------------------------------------------------------------
+// Multer – temporary storage in /uploads/<batchId>
 // -----------------------------------------------------------------------------
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const uniq = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(file.originalname);
-    const safeName = path
-      .basename(file.originalname, ext)
-      .replace(/\s+/g, '_');
-    cb(null, `${safeName}-${uniq}${ext}`);
-  },
+  destination: (req, file, cb) => cb(null, req.batch.uploadDir),
+  filename: (req, file, cb) => cb(null, storedName(file.originalname)),
 });
 
+// Unique name of an upload inside its batch folder
+function storedName(originalname) {
+  const uniq = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  const ext = path.extname(originalname);
+  const safeName = path.basename(originalname, ext).replace(/\s+/g, '_');
+  return `${safeName}-${uniq}${ext}`;
+}
+
 const upload = multer({
   storage,
   limits: {
@@ -74,12 +220,27 @@ const upload = multer({
     fileSize: MAX_TOTAL_SIZE, // per‑file limit – total size checked later
   },
   fileFilter: (req, file, cb) => {
-    const allowed = /\.(jpe?g|png)$/i;
-    if (allowed.test(file.originalname)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only .jpg, .jpeg and .png files are allowed'));
+    // Remember where every file sat in the batch so rejections keep the order
+    file.position = req.uploadCount || 0;
+    req.uploadCount = file.position + 1;
+
+    if (ALLOWED_UPLOAD.test(file.originalname)) {
+      // Stop receiving as soon as the queue cannot take the files
+      req.queuedCount = (req.queuedCount || 0) + 1;
+      if (!pool.hasRoom(req.queuedCount)) return cb(queueFullError());
+      return cb(null, true);
     }
+
+    // Skip the file but keep the rest of the batch
+    req.rejected = req.rejected || [];
+    req.rejected.push({
+      position: file.position,
+      originalName: file.originalname,
+      code: 'unsupported_type',
+      error:
+        'Only .jpg, .jpeg, .png, .webp, .avif, .gif and .svg files are allowed',
+    });
+    cb(null, false);
   },
 }).array('images', MAX_FILES); // field name = images
 
@@ -88,7 +249,9 @@ const upload = multer({
 // -----------------------------------------------------------------------------
 const app = express();
 
-app.use(
+// upgrade-insecure-requests only makes sense on pages served over HTTPS –
+// on plain HTTP it sends the browser to a TLS endpoint on the HTTP port
+const helmetFor = secure =>
   helmet({
     contentSecurityPolicy: {
       directives: {
@@ -100,160 +263,1635 @@ app.use(
           "'unsafe-inline'",
         ],
         styleSrc: ["'self'", 'https:', "'unsafe-inline'"],
-        imgSrc: ["'self'", 'data:', 'blob:'],
+        // Downloads from S3 redirect to the bucket (pre‑signed URLs)
+        imgSrc: [
+          "'self'",
+          'data:',
+          'blob:',
+          () => batchStorage.origin() || "'self'",
+        ],
         fontSrc: ["'self'", 'https:', 'data:'],
         objectSrc: ["'none'"],
-        upgradeInsecureRequests: [],
+        upgradeInsecureRequests: secure ? [] : null,
       },
     },
-  })
+  });
+const secureHelmet = helmetFor(true);
+const plainHelmet = helmetFor(false);
+app.use((req, res, next) =>
+  (req.secure ? secureHelmet : plainHelmet)(req, res, next)
 );
 
-app.use(cors());
+// tus headers on every /files response – OPTIONS (tus discovery) is answered
+// by the CORS middleware below
+app.use('/files', (req, res, next) => {
+  res.set(resumable.protocolHeaders());
+  next();
+});
+
+// With API keys, browsers may only call from origins listed for a key. A
+// preflight carries no key, so it is checked against every key; the actual
+// request is checked against its own key in authenticate().
+let keyStore = null;
+const openCors = cors({
+  exposedHeaders: ['Retry-After', ...TUS_RESPONSE_HEADERS],
+});
+const keyedCors = cors((req, cb) =>
+  cb(null, {
+    origin: keyStore ? keyStore.allowsOrigin(req.get('Origin')) : false,
+    allowedHeaders: [
+      'Content-Type',
+      'Authorization',
+      'X-API-Key',
+      ...TUS_REQUEST_HEADERS,
+    ],
+    exposedHeaders: ['Retry-After', ...TUS_RESPONSE_HEADERS],
+  })
+);
+app.use((req, res, next) => (keyStore ? keyedCors : openCors)(req, res, next));
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // -----------------------------------------------------------------------------
-// Helper – safely delete a file (ignore ENOENT)
+// Route – GET /config  (limits the front end checks before uploading)
+// -----------------------------------------------------------------------------
+app.get('/config', (req, res) => {
+  res.json(publicConfig(config));
+});
+
+// -----------------------------------------------------------------------------
+// Route – GET /metrics  (Prometheus text format)
 // -----------------------------------------------------------------------------
-async function safeUnlink(filePath) {
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', metrics.register.contentType);
+  res.send(await metrics.register.metrics());
+});
+
+// -----------------------------------------------------------------------------
+// Routes – GET /healthz (liveness) and GET /readyz (readiness)
+// Both check that the upload / optimized folders are writable, that the
+// imagemin binaries run and that the storage backend answers; /readyz also
+// waits for start‑up to complete.
+// 200 when every check passes, 503 otherwise.
+// -----------------------------------------------------------------------------
+const healthTargets = {
+  uploadDir: UPLOAD_DIR,
+  optimizedDir: OPTIMIZED_DIR,
+  storage: batchStorage,
+};
+
+app.get('/healthz', async (req, res) => {
+  const health = await runHealthChecks(healthTargets);
+  res.status(health.ok ? 200 : 503).json(health);
+});
+
+app.get('/readyz', async (req, res) => {
+  const health = await runHealthChecks(healthTargets);
+  health.checks.startup = ready
+    ? { ok: true }
+    : { ok: false, error: 'Server is starting' };
+  health.ok = health.ok && ready;
+  res.status(health.ok ? 200 : 503).json(health);
+});
+
+// -----------------------------------------------------------------------------
+// Helper – bytes → MiB for error messages
+// -----------------------------------------------------------------------------
+function formatMiB(bytes) {
+  return `${parseFloat((bytes / (1024 * 1024)).toFixed(2))} MiB`;
+}
+
+// -----------------------------------------------------------------------------
+// Helper – 429 with Retry-After (seconds)
+// -----------------------------------------------------------------------------
+function tooManyRequests(res, retryAfter, error) {
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error, retryAfter });
+}
+
+// -----------------------------------------------------------------------------
+// Helper – 503 with Retry-After while the processing queue is full
+// (queueFullError marks an upload stopped for that reason)
+// -----------------------------------------------------------------------------
+function queueFullError() {
+  return Object.assign(new Error('Processing queue is full'), {
+    code: 'QUEUE_FULL',
+  });
+}
+
+function serverBusy(res) {
+  const retryAfter = pool.retryAfter();
+  metrics.recordRejection('queue_full');
+  res.set('Retry-After', String(retryAfter));
+  res.status(503).json({
+    error: 'Server busy, processing queue is full',
+    retryAfter,
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Middleware – API key authentication and request rate (only when
+// apiKeysFile is configured). The key is sent as "X-API-Key: <key>" or
+// "Authorization: Bearer <key>"; requests without one use the "anonymous"
+// entry of the key file, limited per IP, or are refused.
+// Sets req.apiClient = { id, origins, quotas } for the quota checks.
+// -----------------------------------------------------------------------------
+function authenticate(req, res, next) {
+  if (!keyStore) return next();
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  const presented = req.get('X-API-Key') || (bearer && bearer[1]);
+
+  let client;
+  if (presented) {
+    const key = keyStore.find(presented);
+    if (!key) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    client = { id: `key:${key.id}`, origins: key.origins, quotas: key.quotas };
+  } else {
+    const anonymous = keyStore.anonymous();
+    if (!anonymous) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+    client = { id: `ip:${req.ip}`, ...anonymous };
+  }
+
+  // Same‑origin pages (our own UI) are always allowed
+  const origin = req.get('Origin');
+  const sameOrigin = origin === `${req.protocol}://${req.get('host')}`;
+  if (origin && !sameOrigin && !originAllowed(client.origins, origin)) {
+    return res.status(403).json({ error: 'Origin not allowed for this key' });
+  }
+
+  const retryAfter = quotas.takeRequest(client);
+  if (retryAfter) {
+    return tooManyRequests(res, retryAfter, 'Too many requests');
+  }
+
+  req.apiClient = client;
+  next();
+}
+
+// -----------------------------------------------------------------------------
+// Helper – admit an upload before receiving it: the processing queue must
+// have room (503 otherwise), and the client must be within its quotas – daily
+// bytes (from Content-Length) and a concurrent job slot (429 otherwise).
+// Returns false when a response was sent; otherwise the slot must be released
+// with quotas.releaseJob(req.apiClient) once processing ends.
+// -----------------------------------------------------------------------------
+function admitUpload(req, res) {
+  // A JSON job names its resumable uploads up front; multipart files are
+  // counted as they arrive
+  const announcedFiles =
+    req.is('application/json') && req.body && req.body.uploads
+      ? new Set([].concat(req.body.uploads)).size
+      : 1;
+  if (!pool.hasRoom(announcedFiles)) {
+    serverBusy(res);
+    return false;
+  }
+
+  const announced = Number(req.get('Content-Length')) || 0;
+  const bytesRetry = quotas.checkBytes(req.apiClient, announced);
+  if (bytesRetry) {
+    metrics.recordRejection('quota_bytes');
+    tooManyRequests(res, bytesRetry, 'Daily upload quota exceeded');
+    return false;
+  }
+
+  const jobRetry = quotas.acquireJob(req.apiClient);
+  if (jobRetry) {
+    metrics.recordRejection('quota_jobs');
+    tooManyRequests(res, jobRetry, 'Too many concurrent jobs');
+    return false;
+  }
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// Helper – safely delete a whole batch (log, never throw)
+// -----------------------------------------------------------------------------
+async function discardBatch(batch) {
   try {
-    await fs.unlink(filePath);
+    await removeBatch(batch);
   } catch (e) {
-    if (e.code !== 'ENOENT') {
-      logger.warn(`Failed to delete ${filePath}: ${e.message}`);
+    logger.warn(`Failed to delete batch ${batch.id}: ${e.message}`);
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helper – receive a multipart upload into a fresh batch namespace, plus the
+// completed resumable uploads named in its `uploads` field
+// Responds with 400 and deletes the batch on multer or claim errors; resolves
+// to true when the files were stored.
+// -----------------------------------------------------------------------------
+async function receiveBatch(req, res) {
+  req.batch = await createBatch(UPLOAD_DIR, OPTIMIZED_DIR);
+
+  return new Promise(resolve => {
+    upload(req, res, async err => {
+      if (!err) {
+        try {
+          await claimUploads(req);
+        } catch (claimErr) {
+          err = claimErr.code
+            ? claimErr
+            : Object.assign(claimErr, { code: 'invalid_upload' });
+        }
+      }
+      if (err && err.code === 'QUEUE_FULL') {
+        await discardBatch(req.batch);
+        serverBusy(res);
+        return resolve(false);
+      }
+      if (err) {
+        logger.warn(`Upload error: ${err.message}`);
+        metrics.recordRejection(err.code ? err.code.toLowerCase() : 'upload');
+        await discardBatch(req.batch);
+        res.status(400).json({ error: err.message });
+        return resolve(false);
+      }
+      resolve(true);
+    });
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Helper – move the resumable uploads named in the `uploads` field (ids, a
+// list or repeated field) into the batch, after the multipart files, as if
+// they had been part of the multipart body
+// Throws when an upload is unknown, belongs to another client or is
+// incomplete, or when the batch would hold too many files.
+// -----------------------------------------------------------------------------
+async function claimUploads(req) {
+  const field = req.body && req.body.uploads;
+  if (field === undefined) return;
+  const ids = [...new Set([].concat(field))];
+  const clientId = req.apiClient ? req.apiClient.id : null;
+
+  const uploads = [];
+  for (const id of ids) {
+    const found = typeof id === 'string' ? await resumable.get(id) : null;
+    if (!found || found.clientId !== clientId) {
+      throw new Error(`Unknown upload ${id}`);
+    }
+    if (found.offset < found.length) {
+      throw new Error(`Upload ${id} is not complete`);
+    }
+    uploads.push(found);
+  }
+
+  req.files = req.files || [];
+  const count = req.files.length + (req.rejected || []).length;
+  if (count + uploads.length > MAX_FILES) {
+    throw new Error(`Too many files (at most ${MAX_FILES} per batch)`);
+  }
+  if (!pool.hasRoom((req.queuedCount || 0) + uploads.length)) {
+    throw queueFullError();
+  }
+
+  for (const found of uploads) {
+    const filename = storedName(found.name);
+    const filePath = path.join(req.batch.uploadDir, filename);
+    await resumable.claim(found, filePath);
+
+    const position = req.uploadCount || 0;
+    req.uploadCount = position + 1;
+    req.files.push({
+      fieldname: 'uploads',
+      originalname: found.name,
+      filename,
+      path: filePath,
+      size: found.length,
+      position,
+    });
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helper – validate an uploaded batch
+//   • total size and compression settings – failing these rejects the batch,
+//   • each file's content (magic bytes, structure, pixel limits) – failing
+//     these only rejects that file.
+// Responds with 400 and deletes the batch when nothing is left to process
+// (503 when the processing queue has no room for the files); otherwise
+// returns { settings, entries, callbackUrl }, where entries lists every file
+// in upload order as either { originalName, file } or a rejection
+// { originalName, code, error }. Returns null when a response was sent. The
+// bytes count against the daily quota only once the batch is accepted.
+// -----------------------------------------------------------------------------
+async function validateBatch(req, res) {
+  const files = req.files || [];
+  const rejected = req.rejected || [];
+
+  if (files.length === 0 && rejected.length === 0) {
+    metrics.recordRejection('no_images');
+    await discardBatch(req.batch);
+    res.status(400).json({ error: 'No images uploaded' });
+    return null;
+  }
+
+  // Total size validation (combined size of all files)
+  const totalSize = files.reduce((acc, f) => acc + f.size, 0);
+  if (totalSize > MAX_TOTAL_SIZE) {
+    metrics.recordRejection('total_size');
+    await discardBatch(req.batch);
+    res.status(400).json({
+      error: `Total upload size exceeds ${formatMiB(MAX_TOTAL_SIZE)}`,
+    });
+    return null;
+  }
+
+  // Daily byte quota – what actually arrived counts once the batch is accepted
+  const bytesRetry = quotas.checkBytes(req.apiClient, totalSize);
+  if (bytesRetry) {
+    metrics.recordRejection('quota_bytes');
+    await discardBatch(req.batch);
+    tooManyRequests(res, bytesRetry, 'Daily upload quota exceeded');
+    return null;
+  }
+
+  // Compression settings sent next to the images field, on top of a preset
+  let settings;
+  try {
+    settings = parseSettings(presetStore.apply(req.body));
+  } catch (settingsErr) {
+    metrics.recordRejection('invalid_settings');
+    await discardBatch(req.batch);
+    res.status(400).json({ error: settingsErr.message });
+    return null;
+  }
+
+  // Optional webhook, notified once the batch is processed
+  let callbackUrl = null;
+  if (req.body.callbackUrl !== undefined) {
+    try {
+      if (!webhooks) throw new Error('Webhooks are not enabled');
+      callbackUrl = webhooks.checkUrl(req.body.callbackUrl);
+    } catch (callbackErr) {
+      metrics.recordRejection('invalid_callback');
+      await discardBatch(req.batch);
+      res.status(400).json({ error: callbackErr.message });
+      return null;
     }
   }
+
+  // Content sniffing – before anything gets decoded
+  const limits = { maxPixels: MAX_PIXELS, maxDimension: MAX_DIMENSION };
+  const entries = rejected.slice();
+  for (const file of files) {
+    const rejection = await validateUpload(file, limits);
+    if (rejection) {
+      logger.warn(`Rejected ${file.originalname}: ${rejection.error}`);
+      await fs.rm(file.path, { force: true });
+      entries.push({
+        position: file.position,
+        originalName: file.originalname,
+        ...rejection,
+      });
+    } else {
+      entries.push({
+        position: file.position,
+        originalName: file.originalname,
+        file,
+      });
+    }
+  }
+  entries.sort((a, b) => a.position - b.position);
+  entries.filter(e => !e.file).forEach(e => metrics.recordRejection(e.code));
+
+  if (!entries.some(e => e.file)) {
+    await discardBatch(req.batch);
+    res.status(400).json({
+      error: 'No valid images uploaded',
+      files: entries.map(describeFile),
+    });
+    return null;
+  }
+
+  // The queue may have filled up while the files were arriving
+  if (!pool.hasRoom(entries.filter(e => e.file).length)) {
+    await discardBatch(req.batch);
+    serverBusy(res);
+    return null;
+  }
+
+  quotas.addBytes(req.apiClient, totalSize);
+  return { settings, entries, callbackUrl };
+}
+
+// -----------------------------------------------------------------------------
+// Helper – public description of a processed file (response payload entry)
+// -----------------------------------------------------------------------------
+function describeFile(p, batch) {
+  if (p.error) {
+    return {
+      originalName: p.originalName,
+      code: p.code || 'processing_failed',
+      error: p.error,
+    };
+  }
+
+  // File names come from the upload – encoded, so they stay one path segment
+  const downloadUrl = filePath =>
+    `/download/${batch.id}/${encodeURIComponent(path.basename(filePath))}`;
+  // SVG is sanitised, never re‑encoded – no renditions or re‑compression
+  const raster = p.format !== 'svg';
+
+  const variants = p.variants.map(v => ({
+    optimizedName: path.basename(v.optimizedPath),
+    downloadUrl: downloadUrl(v.optimizedPath),
+    width: v.width,
+    height: v.height,
+    sizeAfter: v.sizeAfter,
+  }));
+
+  return {
+    originalName: p.originalName,
+    optimizedName: path.basename(p.optimizedPath),
+    downloadUrl: downloadUrl(p.optimizedPath),
+    uploadUrl: `/upload/${batch.id}/${encodeURIComponent(p.filename)}`,
+    imageUrl: raster
+      ? `/img/${batch.id}-${encodeURIComponent(p.filename)}`
+      : null,
+    recompressUrl: raster
+      ? `/recompress/${batch.id}/${encodeURIComponent(p.filename)}`
+      : null,
+    format: p.format,
+    extension: p.extension,
+    mimeType: p.mimeType,
+    width: p.width,
+    height: p.height,
+    sizeBefore: p.sizeBefore,
+    sizeAfter: p.sizeAfter,
+    skipped: p.skipped,
+    cache: p.cache || null,
+    targetSize: p.targetSize,
+    minSsim: p.minSsim,
+    metrics: p.metrics,
+    sanitised: p.sanitised || null,
+    variants,
+    metadata: p.metadata,
+    srcset: variants.length
+      ? variants.map(v => `${v.downloadUrl} ${v.width}w`).join(', ')
+      : null,
+    settings: p.settings,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Helper – describe a whole batch in upload order, merging the processed
+// files back in between the rejected ones
+// -----------------------------------------------------------------------------
+function describeBatch(entries, processed, batch) {
+  let next = 0;
+  return entries.map(e =>
+    e.file ? describeFile(processed[next++], batch) : describeFile(e, batch)
+  );
 }
 
 // -----------------------------------------------------------------------------
-// Route – POST /upload
+// Helper – the report of an indexed batch (utils/report.js), in upload order
 // -----------------------------------------------------------------------------
-app.post('/upload', (req, res) => {
-  upload(req, res, async err => {
-    if (err) {
-      logger.warn(`Upload error: ${err.message}`);
-      return res.status(400).json({ error: err.message });
+function batchReport(batchId, index) {
+  return createReport({
+    batchId,
+    createdAt: index.createdAt,
+    files: index.files.map(f => ({ ...f.result, position: f.position })),
+    failed: index.failed || [],
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Helper – bundle every output (files and variants) into a ZIP archive when
+// there is more than one, with the batch report unless zipReport is off
+// -----------------------------------------------------------------------------
+async function bundleOutputs(processed, batch, index) {
+  const outputPaths = processed
+    .filter(p => !p.error)
+    .flatMap(p => [p.optimizedPath, ...p.variants.map(v => v.optimizedPath)]);
+
+  if (outputPaths.length < 2) return null;
+
+  const extras = ZIP_REPORT ? reportEntries(batchReport(batch.id, index)) : [];
+  const zipName = await createZip(outputPaths, batch.outDir, extras);
+  return { url: `/download/${batch.id}/${zipName}` };
+}
+
+// -----------------------------------------------------------------------------
+// Helper – index of a processed batch (utils/batches.js): what each file
+// became, so it can be re‑compressed, reported on and the ZIP rebuilt later.
+// Every file keeps its `position` in the upload and the `settings` it was
+// uploaded with. The caller adds the ZIP link and stores it.
+// -----------------------------------------------------------------------------
+function batchIndex(batch, entries, processed, settings) {
+  const files = [];
+  const failed = [];
+  let next = 0;
+  entries.forEach((e, position) => {
+    const p = e.file ? processed[next++] : e;
+    if (p.error) {
+      failed.push({ ...describeFile(p, batch), position });
+      return;
     }
+    files.push({
+      filename: p.filename,
+      baseName: path.basename(p.optimizedPath, `-opt${p.extension}`),
+      result: describeFile(p, batch),
+      revisions: {},
+      position,
+      settings,
+    });
+  });
+  return { files, failed, zip: null, createdAt: Date.now() };
+}
+
+// -----------------------------------------------------------------------------
+// Helper – bundle, then store and index a processed batch. Resolves to the
+// ZIP link (null without one).
+// -----------------------------------------------------------------------------
+async function storeProcessedBatch(batch, entries, processed, settings) {
+  const index = batchIndex(batch, entries, processed, settings);
+  index.zip = await bundleOutputs(processed, batch, index);
+  await batchStorage.storeBatch(batch);
+  await writeBatchIndex(batchStorage, batch.id, index);
+  return index.zip;
+}
+
+// -----------------------------------------------------------------------------
+// Helper – register the webhook of a batch (null without callbackUrl).
+// Returns { ref, send(summary) }: ref goes into the response, send posts the
+// summary with absolute URLs – the receiver does not know this server.
+// -----------------------------------------------------------------------------
+function batchWebhook(req, callbackUrl, jobId = null) {
+  if (!callbackUrl) return null;
+
+  const delivery = webhooks.register(callbackUrl, {
+    clientId: req.apiClient ? req.apiClient.id : null,
+    batchId: req.batch.id,
+    jobId,
+  });
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const absolute = (key, value) =>
+    /url$/i.test(key) && typeof value === 'string' && value.startsWith('/')
+      ? baseUrl + value
+      : value;
 
-    // Total size validation (combined size of all files)
-    const totalSize = req.files.reduce((acc, f) => acc + f.size, 0);
-    if (totalSize > MAX_TOTAL_SIZE) {
-      await Promise.all(req.files.map(f => safeUnlink(f.path)));
-      return res
-        .status(400)
-        .json({ error: 'Total upload size exceeds 100 MiB' });
+  return {
+    ref: { id: delivery.id, statusUrl: `/webhooks/${delivery.id}` },
+    // Retries stop WEBHOOK_FETCH_MARGIN_MS before the batch expires, so the
+    // receiver can still download what the payload links to
+    async send(summary) {
+      const event =
+        summary.status === 'done' ? 'batch.completed' : 'batch.failed';
+      const data = JSON.parse(JSON.stringify(summary, absolute));
+      const lifetime = await batchLifetime(req.batch.id).catch(() => null);
+      const deadline =
+        lifetime && lifetime.expiresAt !== null
+          ? lifetime.expiresAt - WEBHOOK_FETCH_MARGIN_MS
+          : null;
+      webhooks.dispatch(delivery, event, data, deadline);
+    },
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Routes – /files  (resumable uploads, tus 1.0 – see utils/resumable.js)
+//   POST   /files      Upload-Length, Upload-Metadata: filename <base64>
+//                      → 201, Location: /files/<id>
+//   HEAD   /files/:id  → Upload-Offset, Upload-Length
+//   PATCH  /files/:id  Upload-Offset, [Upload-Checksum: sha256 <base64>],
+//                      chunk body → 204, Upload-Offset
+//   DELETE /files/:id  → 204
+// An upload only exists for the client that created it.
+// -----------------------------------------------------------------------------
+function sendTusError(res, err) {
+  if (err.code === 'ECONNRESET') {
+    // The client went away mid‑chunk – it resumes from the offset it finds
+    logger.warn(`Resumable upload interrupted: ${err.message}`);
+    return res.destroy();
+  }
+  if (!err.status) logger.error(`Resumable upload error: ${err.message}`);
+  res.status(err.status || 500).json({ error: err.message });
+}
+
+// Requests must speak our protocol version
+function requireTus(req, res, next) {
+  if (req.get('Tus-Resumable') !== '1.0.0') {
+    return res.status(412).json({ error: 'Tus-Resumable 1.0.0 required' });
+  }
+  next();
+}
+
+// Loads req.upload, answering 404 when it is unknown or someone else's
+async function findUpload(req, res, next) {
+  const found = await resumable.get(req.params.id);
+  const clientId = req.apiClient ? req.apiClient.id : null;
+  if (!found || found.clientId !== clientId) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+  req.upload = found;
+  res.set({
+    'Upload-Expires': resumable.expiresAt(found).toUTCString(),
+    'Cache-Control': 'no-store',
+  });
+  next();
+}
+
+app.post('/files', requireTus, authenticate, async (req, res) => {
+  // Refuse what the daily quota could not take before it is sent; the bytes
+  // are counted once the upload is used in a batch
+  const length = Number(req.get('Upload-Length')) || 0;
+  const bytesRetry = quotas.checkBytes(req.apiClient, length);
+  if (bytesRetry) {
+    return tooManyRequests(res, bytesRetry, 'Daily upload quota exceeded');
+  }
+
+  try {
+    const created = await resumable.create({
+      length: req.get('Upload-Length'),
+      metadata: req.get('Upload-Metadata'),
+      clientId: req.apiClient ? req.apiClient.id : null,
+    });
+    res.set({
+      Location: `/files/${created.id}`,
+      'Upload-Expires': resumable.expiresAt(created).toUTCString(),
+    });
+    res.status(201).end();
+  } catch (createErr) {
+    sendTusError(res, createErr);
+  }
+});
+
+app.head('/files/:id', requireTus, authenticate, findUpload, (req, res) => {
+  res.set({
+    'Upload-Offset': String(req.upload.offset),
+    'Upload-Length': String(req.upload.length),
+  });
+  if (req.upload.metadata) res.set('Upload-Metadata', req.upload.metadata);
+  res.status(200).end();
+});
+
+app.patch(
+  '/files/:id',
+  requireTus,
+  authenticate,
+  findUpload,
+  async (req, res) => {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({
+        error: 'Content-Type must be application/offset+octet-stream',
+      });
     }
 
     try {
-      // Run optimisation
-      const processed = await processFiles(req.files, {
-        outDir: OPTIMIZED_DIR,
-        concurrency: 6,
+      const offset = await resumable.append(
+        req.upload,
+        req.get('Upload-Offset'),
+        req,
+        req.get('Upload-Checksum')
+      );
+      res.set('Upload-Offset', String(offset));
+      res.status(204).end();
+    } catch (appendErr) {
+      sendTusError(res, appendErr);
+    }
+  }
+);
+
+app.delete(
+  '/files/:id',
+  requireTus,
+  authenticate,
+  findUpload,
+  async (req, res) => {
+    await resumable.remove(req.upload.id);
+    res.status(204).end();
+  }
+);
+
+// -----------------------------------------------------------------------------
+// Route – POST /upload  (synchronous: responds once every file is processed)
+// -----------------------------------------------------------------------------
+app.post('/upload', authenticate, async (req, res) => {
+  if (!admitUpload(req, res)) return;
+  try {
+    await processUpload(req, res);
+  } finally {
+    quotas.releaseJob(req.apiClient);
+  }
+});
+
+// Receive, validate and process a synchronous upload
+async function processUpload(req, res) {
+  if (!(await receiveBatch(req, res))) return;
+
+  const validated = await validateBatch(req, res);
+  if (!validated) return;
+
+  const { settings, entries, callbackUrl } = validated;
+  const { batch } = req;
+  const webhook = batchWebhook(req, callbackUrl);
+  try {
+    // Run optimisation
+    const files = entries.filter(e => e.file).map(e => e.file);
+    const processed = await processFiles(files, {
+      outDir: batch.outDir,
+      settings,
+      partial: true,
+      cache: resultCache,
+      pool,
+      priority: 'high',
+      onProgress: metrics.recordProgress(files),
+    });
+
+    // Failed files are reported in place, next to the ones that succeeded
+    const failed = processed.filter(p => p.error);
+    failed.forEach(p => logger.warn(`${p.originalName} failed: ${p.error}`));
+    if (failed.length === processed.length) {
+      await discardBatch(batch);
+      const error = 'Failed to process images';
+      if (webhook) webhook.send({ batchId: batch.id, status: 'failed', error });
+      return res.status(500).json({
+        error,
+        files: describeBatch(entries, processed, batch),
       });
+    }
 
-      // If multiple files, bundle them into a ZIP archive
-      let zipInfo = null;
-      if (processed.length > 1) {
-        const zipName = await createZip(
-          processed.map(p => p.optimizedPath)
-        );
-        zipInfo = { url: `/download/${zipName}` };
-      }
+    const zip = await storeProcessedBatch(batch, entries, processed, settings);
+
+    const summary = {
+      batchId: batch.id,
+      files: describeBatch(entries, processed, batch),
+      zip,
+    };
+    if (webhook) webhook.send({ ...summary, status: 'done' });
+    res.json({ ...summary, webhook: webhook && webhook.ref });
+  } catch (procErr) {
+    logger.error(`Processing error: ${procErr.message}`);
+    await discardBatch(batch);
+    const error = 'Failed to process images';
+    if (webhook) webhook.send({ batchId: batch.id, status: 'failed', error });
+    res.status(500).json({ error });
+  }
+}
 
-      // Build response payload
-      const payload = {
-        files: processed.map(p => ({
-          originalName: p.originalName,
-          optimizedName: path.basename(p.optimizedPath),
-          downloadUrl: `/download/${path.basename(p.optimizedPath)}`,
-          uploadUrl: `/upload/${path.basename(p.filename)}`,
-          sizeBefore: p.sizeBefore,
-          sizeAfter: p.sizeAfter,
-        })),
-        zip: zipInfo,
-      };
-
-      res.json(payload);
-    } catch (procErr) {
-      logger.error(`Processing error: ${procErr.message}`);
-      await Promise.all(req.files.map(f => safeUnlink(f.path)));
-      res.status(500).json({ error: 'Failed to process images' });
+// -----------------------------------------------------------------------------
+// Helper – run a job in the background, reporting per‑file progress
+// -----------------------------------------------------------------------------
+async function runJob(job, batch, entries, settings, webhook) {
+  // Summary for the webhook, once the job has finished – a failed job has no
+  // result, but its files still carry their errors
+  const notify = () => {
+    if (!webhook) return;
+    const { status, files, result, error } = jobs.serializeJob(job);
+    webhook.send({
+      batchId: batch.id,
+      jobId: job.id,
+      status,
+      files: result ? result.files : files,
+      zip: result ? result.zip : null,
+      error,
+    });
+  };
+
+  // Job file indexes follow the upload order, rejected files included
+  const accepted = [];
+  entries.forEach((e, index) => {
+    if (e.file) {
+      accepted.push({ file: e.file, index });
+    } else {
+      jobs.updateFile(job, index, 'failed', { code: e.code, error: e.error });
     }
   });
+  const files = accepted.map(a => a.file);
+
+  try {
+    const processed = await processFiles(files, {
+      outDir: batch.outDir,
+      settings,
+      partial: true,
+      cache: resultCache,
+      pool,
+      priority: 'normal',
+      onProgress: metrics.recordProgress(files, (i, status, data) => {
+        const { index } = accepted[i];
+        if (status === 'done') {
+          jobs.updateFile(job, index, status, {
+            result: describeFile(data, batch),
+          });
+        } else if (status === 'failed') {
+          logger.warn(
+            `Job ${job.id}: ${files[i].originalname} failed: ${data.message}`
+          );
+          jobs.updateFile(job, index, status, {
+            code: 'processing_failed',
+            error: data.message,
+          });
+        } else {
+          jobs.updateFile(job, index, status);
+        }
+      }),
+    });
+
+    const succeeded = processed.filter(p => !p.error);
+    if (succeeded.length === 0) {
+      jobs.finishJob(job, 'failed', { error: 'Failed to process images' });
+    } else {
+      const zip = await storeProcessedBatch(
+        batch,
+        entries,
+        processed,
+        settings
+      );
+
+      jobs.finishJob(job, 'done', {
+        result: { files: describeBatch(entries, processed, batch), zip },
+      });
+    }
+  } catch (procErr) {
+    logger.error(`Job ${job.id} error: ${procErr.message}`);
+    jobs.finishJob(job, 'failed', { error: 'Failed to process images' });
+  }
+  notify();
+}
+
+// -----------------------------------------------------------------------------
+// Route – POST /jobs  (asynchronous: responds 202 with a job id right away)
+// -----------------------------------------------------------------------------
+app.post('/jobs', authenticate, async (req, res) => {
+  if (!admitUpload(req, res)) return;
+
+  // The job slot is held until the job finishes, not just until the 202
+  let started = false;
+  try {
+    started = await startJob(req, res);
+  } finally {
+    if (!started) quotas.releaseJob(req.apiClient);
+  }
+});
+
+// Receive and validate a job upload, then process it in the background.
+// Resolves to true once the job runs (and owns the job slot).
+async function startJob(req, res) {
+  if (!(await receiveBatch(req, res))) return false;
+
+  const validated = await validateBatch(req, res);
+  if (!validated) return false;
+
+  const { settings, entries, callbackUrl } = validated;
+  const job = jobs.createJob(
+    entries.map(e => e.originalName),
+    req.batch.id
+  );
+  const webhook = batchWebhook(req, callbackUrl, job.id);
+  logger.info(`Job ${job.id} created (${entries.length} files)`);
+
+  res.status(202).json({
+    id: job.id,
+    batchId: job.batchId,
+    status: job.status,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+    webhook: webhook && webhook.ref,
+  });
+
+  const client = req.apiClient;
+  runJob(job, req.batch, entries, settings, webhook).finally(() =>
+    quotas.releaseJob(client)
+  );
+  return true;
+}
+
+// -----------------------------------------------------------------------------
+// Route – GET /jobs/:id  (job status snapshot)
+// -----------------------------------------------------------------------------
+app.get('/jobs/:id', authenticate, (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobs.serializeJob(job));
+});
+
+// -----------------------------------------------------------------------------
+// Route – GET /jobs/:id/events  (Server‑Sent Events)
+// Replays the current state of every file, then streams changes:
+//   event: queued | processing | done | failed  → one file
+//   event: complete                             → whole job, stream ends
+// -----------------------------------------------------------------------------
+app.get('/jobs/:id/events', authenticate, (req, res) => {
+  const job = jobs.getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  job.files.forEach(file => send(file.status, file));
+  if (jobs.isFinished(job)) {
+    send('complete', jobs.serializeJob(job));
+    return res.end();
+  }
+
+  // Comment lines keep idle connections open through proxies
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const unsubscribe = jobs.subscribe(job.id, event => {
+    if (event.type === 'file') {
+      send(event.file.status, event.file);
+    } else {
+      send('complete', event.job);
+      res.end();
+    }
+  });
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
 });
 
 // -----------------------------------------------------------------------------
-// Route – GET /download/:filename  (optimized images or ZIP)
+// Route – GET /webhooks/:id  (delivery status and every attempt so far)
+// Only the client that registered the callback can see it.
 // -----------------------------------------------------------------------------
-app.get('/download/:filename', async (req, res) => {
-  const safeName = path.basename(req.params.filename);
-  const filePath = path.join(OPTIMIZED_DIR, safeName);
+app.get('/webhooks/:id', authenticate, (req, res) => {
+  const delivery = webhooks && webhooks.getDelivery(req.params.id);
+  const clientId = req.apiClient ? req.apiClient.id : null;
+  if (!delivery || delivery.clientId !== clientId) {
+    return res.status(404).json({ error: 'Webhook delivery not found' });
+  }
+  res.json(webhooks.serializeDelivery(delivery));
+});
 
-  if (!filePath.startsWith(OPTIMIZED_DIR)) {
-    return res.status(400).send('Invalid file request');
+// -----------------------------------------------------------------------------
+// Route – POST /recompress/:batchId/:filename  (try other settings on a file)
+// Compresses the stored original again with the settings it was uploaded
+// with, the fields of the (JSON or form) body replacing theirs – an empty
+// value resets a field to its default. The outputs are stored under new names next to the current
+// ones, so they can be previewed; the answer is the usual file description
+// plus a `revision` id. Nothing changes for the batch until it is accepted.
+// -----------------------------------------------------------------------------
+app.post('/recompress/:batchId/:filename', authenticate, async (req, res) => {
+  if (!admitUpload(req, res)) return;
+  try {
+    await recompressFile(req, res);
+  } finally {
+    quotas.releaseJob(req.apiClient);
   }
+});
 
+async function recompressFile(req, res) {
+  const { batchId, filename } = req.params;
+
+  const index = await readBatchIndex(batchStorage, batchId);
+  const entry = index && index.files.find(f => f.filename === filename);
+  const original =
+    entry && (await batchStorage.read('uploads', batchId, filename));
+  if (!original) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+
+  // Unset (null) fields of the stored settings are left to the defaults
+  const uploaded = Object.fromEntries(
+    Object.entries(entry.settings || {}).filter(([, value]) => value !== null)
+  );
+  let settings;
+  try {
+    settings = parseSettings({ ...uploaded, ...presetStore.apply(req.body) });
+  } catch (settingsErr) {
+    return res.status(400).json({ error: settingsErr.message });
+  }
+  if (formatFromName(filename) === 'svg') {
+    return res.status(409).json({ error: 'SVG files cannot be re‑compressed' });
+  }
+  if (Object.keys(entry.revisions).length >= MAX_REVISIONS) {
+    return res.status(409).json({ error: 'Too many pending revisions' });
+  }
+
+  const revision = crypto.randomBytes(4).toString('hex');
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sora-rev-'));
   try {
-    await fs.access(filePath);
-    res.download(filePath, safeName, err => {
-      if (err) logger.warn(`Download error: ${err.message}`);
+    const file = {
+      path: path.join(workDir, filename),
+      originalname: entry.result.originalName,
+      filename,
+    };
+    await fs.writeFile(file.path, original);
+
+    const [result] = await processFiles([file], {
+      outDir: workDir,
+      settings,
+      cache: resultCache,
+      pool,
+      priority: 'high',
+      baseNames: [`${entry.baseName}-${revision}`],
+      onProgress: metrics.recordProgress([file]),
     });
-  } catch {
-    res.status(404).send('File not found');
+
+    const outputs = [
+      result.optimizedPath,
+      ...result.variants.map(v => v.optimizedPath),
+    ];
+    for (const output of outputs) {
+      await batchStorage.write(
+        'optimized',
+        batchId,
+        path.basename(output),
+        await fs.readFile(output)
+      );
+    }
+
+    const described = describeFile(result, { id: batchId });
+    await updateBatchIndex(batchStorage, batchId, current => {
+      const target = current.files.find(f => f.filename === filename);
+      target.revisions[revision] = described;
+    });
+    res.json({ revision, ...described });
+  } catch (procErr) {
+    logger.error(`Recompression error: ${procErr.message}`);
+    res.status(500).json({ error: 'Failed to process image' });
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Route – POST /recompress/:batchId/:filename/accept  { revision }
+// Makes a revision the file's output: its download links replace the
+// current ones and the batch ZIP is rebuilt (under a new name).
+// Answers { file, zip } with the new description and ZIP link.
+// -----------------------------------------------------------------------------
+app.post(
+  '/recompress/:batchId/:filename/accept',
+  authenticate,
+  async (req, res) => {
+    const { batchId, filename } = req.params;
+    const revision = req.body && req.body.revision;
+
+    try {
+      const accepted = await updateBatchIndex(
+        batchStorage,
+        batchId,
+        async index => {
+          const entry = index.files.find(f => f.filename === filename);
+          if (!entry || typeof revision !== 'string') return null;
+          if (!Object.hasOwn(entry.revisions, revision)) return null;
+
+          entry.result = entry.revisions[revision];
+          delete entry.revisions[revision];
+          index.zip = await rebuildZip(batchId, index);
+          return { file: entry.result, zip: index.zip };
+        }
+      );
+      if (!accepted) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+      res.json(accepted);
+    } catch (acceptErr) {
+      logger.error(`Revision error: ${acceptErr.message}`);
+      res.status(500).json({ error: 'Failed to update the batch' });
+    }
+  }
+);
+
+// Build a new ZIP of the current outputs of an indexed batch and store it.
+// Resolves to the ZIP link, or null when there are fewer than two outputs.
+async function rebuildZip(batchId, index) {
+  const names = index.files.flatMap(f => [
+    f.result.optimizedName,
+    ...f.result.variants.map(v => v.optimizedName),
+  ]);
+  if (names.length < 2) return null;
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sora-zip-'));
+  try {
+    const filePaths = [];
+    for (const name of names) {
+      const data = await batchStorage.read('optimized', batchId, name);
+      if (!data) throw new Error(`${name} is missing from batch ${batchId}`);
+      filePaths.push(path.join(workDir, name));
+      await fs.writeFile(filePaths[filePaths.length - 1], data);
+    }
+
+    const extras = ZIP_REPORT ? reportEntries(batchReport(batchId, index)) : [];
+    const zipName = await createZip(filePaths, workDir, extras);
+    await batchStorage.write(
+      'optimized',
+      batchId,
+      zipName,
+      await fs.readFile(path.join(workDir, zipName))
+    );
+    return { url: `/download/${batchId}/${zipName}` };
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helper – lifetime of a processed batch: { index, expiresAt, maxExpiresAt,
+// extendable } (times in ms, expiresAt null when it is never removed), or
+// null when the batch is unknown or gone
+// -----------------------------------------------------------------------------
+async function batchLifetime(batchId) {
+  const index = await readBatchIndex(batchStorage, batchId);
+  const lifetime =
+    index && (await batchStorage.lifetime(batchId, index.createdAt));
+  if (!lifetime) return null;
+
+  const maxExpiresAt = index.createdAt + BATCH_MAX_LIFETIME_MS;
+  return {
+    index,
+    expiresAt: lifetime.expiresAt,
+    maxExpiresAt: lifetime.extendable ? maxExpiresAt : null,
+    extendable: lifetime.extendable && lifetime.expiresAt < maxExpiresAt,
+  };
+}
+
+// Public view of a batch (what GET /batches/:batchId returns)
+function describeStoredBatch(batchId, { index, expiresAt, ...lifetime }) {
+  const time = ms => (ms === null ? null : new Date(ms).toISOString());
+  return {
+    batchId,
+    createdAt: time(index.createdAt),
+    expiresAt: time(expiresAt),
+    remainingMs:
+      expiresAt === null ? null : Math.max(expiresAt - Date.now(), 0),
+    maxExpiresAt: time(lifetime.maxExpiresAt),
+    extendable: lifetime.extendable,
+    files: index.files.map(f => f.result),
+    zip: index.zip,
+  };
+}
+
+// -----------------------------------------------------------------------------
+// Route – GET /batches/:batchId  (current files and remaining lifetime)
+// Like the download links, the batch id is all it takes to see a batch.
+// -----------------------------------------------------------------------------
+app.get('/batches/:batchId', authenticate, async (req, res) => {
+  const { batchId } = req.params;
+  try {
+    const lifetime = await batchLifetime(batchId);
+    if (!lifetime) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    res.json(describeStoredBatch(batchId, lifetime));
+  } catch (batchErr) {
+    logger.error(`Batch lookup error: ${batchErr.message}`);
+    res.status(500).json({ error: 'Failed to read the batch' });
   }
 });
 
 // -----------------------------------------------------------------------------
-// Route – GET /upload/:filename  (original uploaded file)
+// Route – GET /batches/:batchId/report?format=json|csv
+// What every file became – the manifest.json / report.csv of the batch ZIP,
+// also for batches without one.
 // -----------------------------------------------------------------------------
-app.get('/upload/:filename', async (req, res) => {
-  const safeName = path.basename(req.params.filename);
-  const filePath = path.join(UPLOAD_DIR, safeName);
+app.get('/batches/:batchId/report', authenticate, async (req, res) => {
+  const { batchId } = req.params;
+  const format = req.query.format || 'json';
+  if (!Object.hasOwn(REPORT_FILES, format)) {
+    return res.status(400).json({ error: '"format" must be json or csv' });
+  }
 
-  if (!filePath.startsWith(UPLOAD_DIR)) {
-    return res.status(400).send('Invalid file request');
+  try {
+    const lifetime = await batchLifetime(batchId);
+    if (!lifetime) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    const report = batchReport(batchId, lifetime.index);
+    if (format === 'csv') {
+      return res.attachment(REPORT_FILES.csv).send(reportCsv(report));
+    }
+    res.json(report);
+  } catch (reportErr) {
+    logger.error(`Batch report error: ${reportErr.message}`);
+    res.status(500).json({ error: 'Failed to read the batch' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Route – POST /batches/:batchId/extend  { extendByMs }
+// Pushes the removal of a batch back by extendByMs (default: the cleanup
+// delay), up to batchMaxLifetimeMs after it was processed. Answers like
+// GET /batches/:batchId; 409 when the batch cannot be kept any longer.
+// -----------------------------------------------------------------------------
+app.post('/batches/:batchId/extend', authenticate, async (req, res) => {
+  const { batchId } = req.params;
+  const raw = req.body && req.body.extendByMs;
+  const extendBy = raw === undefined ? CLEANUP_AFTER_MS : Number(raw);
+  if (
+    !Number.isInteger(extendBy) ||
+    extendBy < 1000 ||
+    extendBy > BATCH_MAX_LIFETIME_MS
+  ) {
+    return res.status(400).json({
+      error: `"extendByMs" must be an integer between 1000 and ${BATCH_MAX_LIFETIME_MS}`,
+    });
   }
 
   try {
-    await fs.access(filePath);
-    res.download(filePath, safeName, err => {
-      if (err) logger.warn(`Download error: ${err.message}`);
+    const lifetime = await batchLifetime(batchId);
+    if (!lifetime) {
+      return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (!lifetime.extendable) {
+      return res.status(409).json({
+        error: lifetime.maxExpiresAt
+          ? 'The batch is already kept as long as allowed'
+          : 'Batches cannot be extended on this server',
+      });
+    }
+
+    const expiresAt = Math.min(
+      Math.max(lifetime.expiresAt, Date.now()) + extendBy,
+      lifetime.maxExpiresAt
+    );
+    await batchStorage.extend(batchId, expiresAt);
+    logger.info(
+      `Batch ${batchId} kept until ${new Date(expiresAt).toISOString()}`
+    );
+    res.json(describeStoredBatch(batchId, await batchLifetime(batchId)));
+  } catch (extendErr) {
+    logger.error(`Batch extension error: ${extendErr.message}`);
+    res.status(500).json({ error: 'Failed to extend the batch' });
+  }
+});
+
+// -----------------------------------------------------------------------------
+// Helper – send a stored batch file (404 when unknown): from disk, or as a
+// redirect to a pre‑signed URL with S3 storage. SVG opened in the browser
+// runs sandboxed and loads nothing, even an unsanitised original.
+// -----------------------------------------------------------------------------
+const SVG_POLICY =
+  "default-src 'none'; img-src data:; style-src 'unsafe-inline'; sandbox";
+
+async function sendBatchFile(area, req, res) {
+  const { batchId, filename } = req.params;
+  const located = await batchStorage.locate(area, batchId, filename);
+
+  if (!located) {
+    return res.status(404).send('File not found');
+  }
+  if (formatFromName(filename) === 'svg') {
+    res.set('Content-Security-Policy', SVG_POLICY);
+  }
+  if (located.url) {
+    return res.redirect(302, located.url);
+  }
+
+  res.download(located.path, filename, err => {
+    if (err) logger.warn(`Download error: ${err.message}`);
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Route – GET /download/:batchId/:filename  (optimized images or ZIP)
+// -----------------------------------------------------------------------------
+app.get('/download/:batchId/:filename', authenticate, (req, res) =>
+  sendBatchFile('optimized', req, res)
+);
+
+// -----------------------------------------------------------------------------
+// Route – GET /upload/:batchId/:filename  (original uploaded file)
+// -----------------------------------------------------------------------------
+app.get('/upload/:batchId/:filename', authenticate, (req, res) =>
+  sendBatchFile('uploads', req, res)
+);
+
+// -----------------------------------------------------------------------------
+// Route – GET /img/:id?w=&h=&q=&fit=&fmt=  (on‑the‑fly renditions)
+// Renders a stored original on first request and keeps the result next to it
+// in storage. Sizes and qualities must be on the allow‑lists unless the URL
+// carries a valid signature (s=, see utils/renditions.js). Responses have a
+// strong ETag and are immutable; fmt=auto negotiates on Accept.
+// No API key is needed (the URLs go into <img> tags on other sites), so the
+// key quotas do not apply: renders are limited per client IP instead.
+// -----------------------------------------------------------------------------
+const IMG_POLICY = {
+  signingKey: config.imgSigningKey,
+  widths: config.imgWidths,
+  heights: config.imgHeights,
+  qualities: config.imgQualities,
+};
+
+// Renditions being generated – concurrent requests for one wait together
+const rendering = new Map();
+
+// Render an original through the worker pool and store the result.
+// Resolves to null when the original no longer exists.
+async function renderRendition(source, settings, name) {
+  const original = await batchStorage.read(
+    'uploads',
+    source.batchId,
+    source.filename
+  );
+  if (!original) return null;
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sora-img-'));
+  try {
+    const file = {
+      path: path.join(workDir, source.filename),
+      originalname: source.filename,
+      filename: source.filename,
+    };
+    await fs.writeFile(file.path, original);
+
+    // Only the image is served – no SSIM / PSNR needed
+    const [result] = await processFiles([file], {
+      outDir: workDir,
+      settings,
+      pool,
+      priority: 'high',
+      measure: false,
+      onProgress: metrics.recordProgress([file]),
     });
-  } catch {
-    res.status(404).send('File not found');
+    const image = await fs.readFile(result.optimizedPath);
+    await batchStorage.write('renditions', source.batchId, name, image);
+    return image;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+function renderOnce(source, settings, name) {
+  const key = `${source.batchId}/${name}`;
+  if (!rendering.has(key)) {
+    rendering.set(
+      key,
+      renderRendition(source, settings, name).finally(() =>
+        rendering.delete(key)
+      )
+    );
+  }
+  return rendering.get(key);
+}
+
+app.get('/img/:id', async (req, res) => {
+  const { id } = req.params;
+  const source = parseImageId(id);
+  if (!source) {
+    return res.status(404).json({ error: 'Image not found' });
+  }
+
+  let params;
+  let format;
+  let settings;
+  try {
+    params = readImageQuery(req.query, MAX_DIMENSION);
+    const sourceFormat = formatFromName(source.filename);
+    format = negotiateFormat(params.fmt, req.get('Accept'), sourceFormat);
+    settings = parseSettings(renditionFields(params, format));
+  } catch (queryErr) {
+    return res.status(400).json({ error: queryErr.message });
+  }
+
+  if (!isAllowed(id, params, req.query.s, IMG_POLICY)) {
+    return res.status(403).json({
+      error: 'Size or quality not allowed – use a listed value or sign the URL',
+    });
+  }
+
+  // A rendition never changes – answer revalidations without touching it
+  const key = renditionKey(id, params, format);
+  res.set({
+    ETag: `"${key}"`,
+    'Cache-Control': `public, max-age=${IMG_MAX_AGE}, immutable`,
+    // Meant to be embedded by other sites
+    'Cross-Origin-Resource-Policy': 'cross-origin',
+  });
+  if (params.fmt === 'auto') res.vary('Accept');
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // Only the image itself may be cached, never an error in its place
+  const uncached = () => {
+    res.removeHeader('ETag');
+    res.set('Cache-Control', 'no-store');
+  };
+
+  const name = `${key}${FORMATS[format].ext}`;
+  let image;
+  try {
+    image = await batchStorage.read('renditions', source.batchId, name);
+    if (!image) {
+      if (!pool.hasRoom()) {
+        uncached();
+        return serverBusy(res);
+      }
+      const retryAfter = quotas.takeRequest({
+        id: `img:${req.ip}`,
+        quotas: { requestsPerMinute: IMG_RENDERS_PER_MINUTE },
+      });
+      if (retryAfter) {
+        uncached();
+        return tooManyRequests(res, retryAfter, 'Too many renders');
+      }
+      image = await renderOnce(source, settings, name);
+    }
+  } catch (renderErr) {
+    logger.error(`Rendition ${id} failed: ${renderErr.message}`);
+    uncached();
+    return res.status(500).json({ error: 'Failed to render image' });
+  }
+
+  if (!image) {
+    uncached();
+    return res.status(404).json({ error: 'Image not found' });
+  }
+  res.type(FORMATS[format].mime).send(image);
+});
+
+// -----------------------------------------------------------------------------
+// Middleware – admin guard ("Authorization: Bearer <adminToken>"). Admin
+// routes do not exist without adminToken; the key routes also need
+// apiKeysFile (requireKeyAdmin).
+// -----------------------------------------------------------------------------
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  const given = crypto
+    .createHash('sha256')
+    .update(bearer ? bearer[1] : '')
+    .digest();
+  const expected = crypto.createHash('sha256').update(ADMIN_TOKEN).digest();
+  if (!crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+function requireKeyAdmin(req, res, next) {
+  if (!keyStore) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  requireAdmin(req, res, next);
+}
+
+// -----------------------------------------------------------------------------
+// Routes – /admin/keys  (API key management)
+//   GET    /admin/keys       → keys with their current usage
+//   POST   /admin/keys       → create; the plain key is only returned here
+//   PATCH  /admin/keys/:id   → change name, origins, quotas or disabled
+//   DELETE /admin/keys/:id
+// -----------------------------------------------------------------------------
+const withUsage = key => ({
+  ...key,
+  usage: quotas.usageReport(`key:${key.id}`),
+});
+
+app.get('/admin/keys', requireKeyAdmin, (req, res) => {
+  res.json({ keys: keyStore.list().map(withUsage) });
+});
+
+app.post('/admin/keys', requireKeyAdmin, async (req, res) => {
+  try {
+    const { key, record } = await keyStore.create(req.body);
+    logger.info(`API key ${record.id} created`);
+    res.status(201).json({ ...withUsage(record), key });
+  } catch (keyErr) {
+    res.status(400).json({ error: keyErr.message });
+  }
+});
+
+app.patch('/admin/keys/:id', requireKeyAdmin, async (req, res) => {
+  try {
+    const record = await keyStore.update(req.params.id, req.body);
+    if (!record) {
+      return res.status(404).json({ error: 'Key not found' });
+    }
+    logger.info(`API key ${record.id} updated`);
+    res.json(withUsage(record));
+  } catch (keyErr) {
+    res.status(400).json({ error: keyErr.message });
+  }
+});
+
+app.delete('/admin/keys/:id', requireKeyAdmin, async (req, res) => {
+  if (!(await keyStore.remove(req.params.id))) {
+    return res.status(404).json({ error: 'Key not found' });
   }
+  logger.info(`API key ${req.params.id} deleted`);
+  res.status(204).end();
 });
 
 // -----------------------------------------------------------------------------
-// Cleanup job – runs every minute, removes files older than CLEANUP_AFTER_MS
+// Routes – /presets  (named compression presets, see utils/presets.js)
+//   GET    /presets        → built‑in and custom presets
+//   GET    /presets/:name
+//   POST   /presets        → create a custom preset
+//   PATCH  /presets/:name  → change its description or settings
+//   DELETE /presets/:name
+// Built‑in presets cannot be changed. Changes need the admin token – without
+// adminToken the presets are read‑only.
+// -----------------------------------------------------------------------------
+let presetStore = null; // opened in startServers()
+
+app.get('/presets', authenticate, (req, res) => {
+  res.json({ presets: presetStore.list() });
+});
+
+app.get('/presets/:name', authenticate, (req, res) => {
+  const preset = presetStore.get(req.params.name);
+  if (!preset) {
+    return res.status(404).json({ error: 'Preset not found' });
+  }
+  res.json(preset);
+});
+
+app.post('/presets', requireAdmin, async (req, res) => {
+  try {
+    const preset = await presetStore.create(req.body);
+    logger.info(`Preset ${preset.name} created`);
+    res.status(201).json(preset);
+  } catch (presetErr) {
+    res.status(400).json({ error: presetErr.message });
+  }
+});
+
+app.patch('/presets/:name', requireAdmin, async (req, res) => {
+  try {
+    const preset = await presetStore.update(req.params.name, req.body);
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    logger.info(`Preset ${preset.name} updated`);
+    res.json(preset);
+  } catch (presetErr) {
+    res.status(400).json({ error: presetErr.message });
+  }
+});
+
+app.delete('/presets/:name', requireAdmin, async (req, res) => {
+  try {
+    if (!(await presetStore.remove(req.params.name))) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+  } catch (presetErr) {
+    return res.status(400).json({ error: presetErr.message });
+  }
+  logger.info(`Preset ${req.params.name} deleted`);
+  res.status(204).end();
+});
+
+// -----------------------------------------------------------------------------
+// Cleanup job – runs every minute, removes batches older than CLEANUP_AFTER_MS
+// (with S3 storage only leftovers of interrupted uploads; stored batches are
+// expired by the bucket lifecycle rule)
 // -----------------------------------------------------------------------------
 
 if (CLEANUP_ENABLED) {
   logger.info('Cleanup job is enabled');
 
   cron.schedule('* * * * *', async () => {
-    const now = Date.now();
-
-    async function cleanFolder(folder) {
+    async function cleanFolder(folder, kind) {
       try {
-        const entries = await fs.readdir(folder, { withFileTypes: true });
-        for (const entry of entries) {
-          if (!entry.isFile()) continue;
-          const filePath = path.join(folder, entry.name);
-          const stats = await fs.stat(filePath);
-          if (now - stats.mtimeMs > CLEANUP_AFTER_MS) {
-            await safeUnlink(filePath);
-            logger.info(`Cleaned up ${filePath}`);
-          }
-        }
+        const removed = await expireBatches(folder, CLEANUP_AFTER_MS);
+        metrics.recordCleanup(kind, removed.length);
+        removed.forEach(id =>
+          logger.info(`Cleaned up batch ${id} in ${folder}`)
+        );
       } catch (e) {
         logger.warn(`Cleanup error for ${folder}: ${e.message}`);
       }
     }
 
-    await Promise.all([cleanFolder(UPLOAD_DIR), cleanFolder(OPTIMIZED_DIR)]);
+    await Promise.all([
+      cleanFolder(UPLOAD_DIR, 'uploads'),
+      cleanFolder(OPTIMIZED_DIR, 'optimized'),
+    ]);
+
+    const pruned = jobs.pruneJobs(CLEANUP_AFTER_MS);
+    metrics.recordCleanup('jobs', pruned);
+    if (pruned > 0) logger.info(`Pruned ${pruned} finished jobs`);
+
+    try {
+      metrics.recordCleanup('resumable', await resumable.expire());
+    } catch (e) {
+      logger.warn(`Cleanup error for resumable uploads: ${e.message}`);
+    }
+
+    if (webhooks) {
+      const prunedDeliveries = webhooks.pruneDeliveries(CLEANUP_AFTER_MS);
+      metrics.recordCleanup('webhooks', prunedDeliveries);
+    }
   });
 } else {
   logger.info('Cleanup job is disabled');
@@ -267,23 +1905,98 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// -----------------------------------------------------------------------------
+// Helper – answer every plain HTTP request with a redirect to HTTPS
+// -----------------------------------------------------------------------------
+function redirectToHttps(req, res) {
+  const host = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+  const port = PORT_SSL === 443 ? '' : `:${PORT_SSL}`;
+  // 308 keeps the method and body of uploads
+  const status = ['GET', 'HEAD'].includes(req.method) ? 301 : 308;
+  res.writeHead(status, { Location: `https://${host}${port}${req.url}` });
+  res.end();
+}
+
 // -----------------------------------------------------------------------------
 // Start HTTP & HTTPS servers
+// HTTPS only starts with a certificate (configured files or self‑signed);
+// configured files are watched and reloaded when renewed.
 // -----------------------------------------------------------------------------
-const httpServer = http.createServer(app);
-const httpsServer = https.createServer(
-  {
-    // Uncomment & set paths when you have SSL certificates
-    // key: fs.readFileSync('/path/to/privkey.pem'),
-    // cert: fs.readFileSync('/path/to/fullchain.pem'),
-  },
-  app
-);
+async function startServers() {
+  if (API_KEYS_FILE) {
+    try {
+      keyStore = await createKeyStore(API_KEYS_FILE);
+    } catch (keysErr) {
+      logger.error(`API key error: ${keysErr.message}`);
+      process.exit(1);
+    }
+    keyStore.watch(
+      () => logger.info(`Reloaded API keys from ${API_KEYS_FILE}`),
+      err => logger.warn(`API keys not reloaded: ${err.message}`)
+    );
+    // Anonymous usage is tracked per IP – forget idle clients
+    setInterval(quotas.pruneUsage, 60 * 1000).unref();
+    logger.info(
+      `API keys enabled (${keyStore.list().length} keys, anonymous ` +
+        `${keyStore.anonymous() ? 'allowed' : 'refused'})`
+    );
+  }
 
-httpServer.listen(PORT, () => {
-  logger.info(`🚀 HTTP server listening on http://localhost:${PORT}`);
-});
+  try {
+    presetStore = await createPresetStore(PRESETS_FILE);
+  } catch (presetsErr) {
+    logger.error(`Preset error: ${presetsErr.message}`);
+    process.exit(1);
+  }
+  presetStore.watch(
+    () => logger.info(`Reloaded presets from ${PRESETS_FILE}`),
+    err => logger.warn(`Presets not reloaded: ${err.message}`)
+  );
+
+  try {
+    await batchStorage.init();
+  } catch (storageErr) {
+    logger.error(`Storage error: ${storageErr.message}`);
+    process.exit(1);
+  }
+  logger.info(
+    batchStorage.kind === 's3'
+      ? `Storing batches in S3 bucket ${config.s3Bucket} (${batchStorage.origin()})`
+      : 'Storing batches on local disk'
+  );
+
+  let tls;
+  try {
+    tls = await loadTls(config);
+  } catch (tlsErr) {
+    logger.error(`TLS error: ${tlsErr.message}`);
+    process.exit(1);
+  }
+
+  if (tls) {
+    const httpsServer = https.createServer(tls.options, app);
+    if (tls.files) watchCertificates(httpsServer, tls.files, logger);
+    if (tls.selfSigned) {
+      logger.warn('HTTPS uses a self‑signed certificate (development only)');
+    }
+
+    httpsServer.listen(PORT_SSL, () => {
+      logger.info(`🚀 HTTPS server listening on https://localhost:${PORT_SSL}`);
+    });
+  } else {
+    logger.info('HTTPS disabled (no TLS certificate configured)');
+  }
+
+  const redirect = tls && HTTPS_REDIRECT;
+  const httpServer = http.createServer(redirect ? redirectToHttps : app);
+  httpServer.listen(PORT, () => {
+    ready = true;
+    logger.info(
+      redirect
+        ? `🚀 HTTP server redirecting http://localhost:${PORT} to HTTPS`
+        : `🚀 HTTP server listening on http://localhost:${PORT}`
+    );
+  });
+}
 
-httpsServer.listen(PORT_SSL, () => {
-  logger.info(`🚀 HTTPS server listening on https://localhost:${PORT_SSL}`);
-});
\ No newline at end of file
+startServers();
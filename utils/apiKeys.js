@@ -0,0 +1,388 @@
+/**
+ * utils/apiKeys.js
+ *
+ * API keys for partner clients, persisted in a JSON file.
+ *   • Keys are stored as SHA‑256 hashes – the plain key is only shown once,
+ *     when it is created through the admin API (a hand‑written file may use
+ *     `key` instead of `hash`),
+ *   • Every key carries the CORS origins it may be used from and its quotas,
+ *   • The file is watched, so hand edits apply without a restart.
+ *
+ * File format:
+ *   {
+ *     "anonymous": { "origins": [], "quotas": { … } },        // optional
+ *     "keys": [
+ *       { "id": "partner-a", "name": "Partner A", "hash": "…",
+ *         "origins": ["https://partner-a.example"],
+ *         "quotas": { "requestsPerMinute": 60, "bytesPerDay": 1073741824,
+ *                     "concurrentJobs": 2 },
+ *         "disabled": false }
+ *     ]
+ *   }
+ *
+ * Without an "anonymous" entry, requests without a key are refused.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const QUOTA_FIELDS = ['requestsPerMinute', 'bytesPerDay', 'concurrentJobs'];
+const KEY_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const KEY_HASH = /^[a-f0-9]{64}$/;
+const WATCH_INTERVAL_MS = 2000;
+
+/**
+ * SHA‑256 of a plain API key.
+ *
+ * @param {string} key Plain key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Validate quotas – every field is a positive integer, or null / omitted
+ * for no limit.
+ */
+function readQuotas(raw = {}, where) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error(`${where}: "quotas" must be an object`);
+  }
+  const quotas = {};
+  for (const field of QUOTA_FIELDS) {
+    const value = raw[field];
+    if (value === undefined || value === null) {
+      quotas[field] = null;
+    } else if (Number.isInteger(value) && value > 0) {
+      quotas[field] = value;
+    } else {
+      throw new Error(`${where}: "${field}" must be a positive integer`);
+    }
+  }
+  for (const field of Object.keys(raw)) {
+    if (!QUOTA_FIELDS.includes(field)) {
+      throw new Error(`${where}: unknown quota "${field}"`);
+    }
+  }
+  return quotas;
+}
+
+/**
+ * Validate allowed CORS origins – "*" or exact origins such as
+ * "https://partner.example".
+ */
+function readOrigins(raw = [], where) {
+  if (!Array.isArray(raw)) {
+    throw new Error(`${where}: "origins" must be an array`);
+  }
+  return raw.map(origin => {
+    if (origin === '*') return origin;
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch {
+      // reported below
+    }
+    if (!parsed || parsed.origin !== origin) {
+      throw new Error(`${where}: "${origin}" is not an origin`);
+    }
+    return origin;
+  });
+}
+
+/**
+ * Validate one key record.
+ */
+function readKey(raw, where) {
+  if (typeof raw !== 'object' || raw === null) {
+    throw new Error(`${where}: must be an object`);
+  }
+  if (typeof raw.id !== 'string' || !KEY_ID.test(raw.id)) {
+    throw new Error(`${where}: "id" must be 1–64 letters, digits, - or _`);
+  }
+
+  let hash = raw.hash;
+  if (raw.key !== undefined) {
+    if (typeof raw.key !== 'string' || raw.key.length < 16) {
+      throw new Error(`${where}: "key" must be at least 16 characters`);
+    }
+    hash = hashKey(raw.key);
+  }
+  if (typeof hash !== 'string' || !KEY_HASH.test(hash)) {
+    throw new Error(`${where}: needs a "hash" (SHA‑256 hex) or a "key"`);
+  }
+
+  return {
+    id: raw.id,
+    name: typeof raw.name === 'string' ? raw.name : raw.id,
+    hash,
+    origins: readOrigins(raw.origins, where),
+    quotas: readQuotas(raw.quotas, where),
+    disabled: Boolean(raw.disabled),
+    createdAt: raw.createdAt || null,
+  };
+}
+
+/**
+ * Validate the whole file.
+ *
+ * @param {Object} data Parsed JSON
+ * @returns {Object} { anonymous, keys }
+ * @throws {Error} On the first invalid entry
+ */
+function parseKeyFile(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('API key file must contain an object');
+  }
+
+  const anonymous = data.anonymous
+    ? {
+        origins: readOrigins(data.anonymous.origins, 'anonymous'),
+        quotas: readQuotas(data.anonymous.quotas, 'anonymous'),
+      }
+    : null;
+
+  const rawKeys = data.keys || [];
+  if (!Array.isArray(rawKeys)) throw new Error('"keys" must be an array');
+  const keys = rawKeys.map((k, i) => readKey(k, `keys[${i}]`));
+
+  const ids = new Set();
+  for (const key of keys) {
+    if (ids.has(key.id)) throw new Error(`Duplicate key id "${key.id}"`);
+    ids.add(key.id);
+  }
+  return { anonymous, keys };
+}
+
+/**
+ * Whether a browser origin may use a client's key.
+ *
+ * @param {Array<string>} origins Allowed origins of the client
+ * @param {string} origin         Origin header of the request
+ * @returns {boolean}
+ */
+function originAllowed(origins, origin) {
+  return origins.includes('*') || origins.includes(origin);
+}
+
+/**
+ * Public view of a key (never includes the hash).
+ */
+function describeKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    origins: key.origins,
+    quotas: key.quotas,
+    disabled: key.disabled,
+    createdAt: key.createdAt,
+  };
+}
+
+/**
+ * Open the key file. A missing file is an empty store; it is created on the
+ * first change made through the admin API.
+ *
+ * @param {string} file Path of the JSON file
+ * @returns {Promise<Object>} Key store
+ * @throws {Error} When the file exists but is invalid
+ */
+async function createKeyStore(file) {
+  let state = { anonymous: null, keys: [] };
+  let byHash = new Map();
+  let writing = Promise.resolve();
+
+  const apply = next => {
+    state = next;
+    byHash = new Map(next.keys.map(k => [k.hash, k]));
+  };
+
+  const load = async () => {
+    let text;
+    try {
+      text = await fsp.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return { anonymous: null, keys: [] };
+      throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+    try {
+      return parseKeyFile(JSON.parse(text));
+    } catch (e) {
+      throw new Error(`Invalid API key file ${file}: ${e.message}`);
+    }
+  };
+
+  // Atomic write (temp file + rename), readable by the owner only
+  const write = async data => {
+    const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2) + '\n', {
+      mode: 0o600,
+    });
+    await fsp.rename(tmp, file);
+  };
+
+  // Writes are serialised; a failed one does not block the next
+  const save = () => {
+    const data = {
+      ...(state.anonymous ? { anonymous: state.anonymous } : {}),
+      keys: state.keys,
+    };
+    writing = writing.catch(() => {}).then(() => write(data));
+    return writing;
+  };
+
+  apply(await load());
+
+  /**
+   * Active key matching a plain key, or null.
+   *
+   * @param {string} plainKey Key sent by the client
+   * @returns {Object|null}
+   */
+  function find(plainKey) {
+    const key = byHash.get(hashKey(plainKey));
+    return key && !key.disabled ? key : null;
+  }
+
+  /**
+   * Settings for requests without a key, or null when they are refused.
+   *
+   * @returns {Object|null} { origins, quotas }
+   */
+  function anonymous() {
+    return state.anonymous;
+  }
+
+  /**
+   * Whether any client may be used from this origin – a CORS preflight does
+   * not carry the key, so it is checked against all of them.
+   *
+   * @param {string} origin Origin header
+   * @returns {boolean}
+   */
+  function allowsOrigin(origin) {
+    const clients = state.anonymous
+      ? [state.anonymous, ...state.keys]
+      : state.keys;
+    return clients.some(c => !c.disabled && originAllowed(c.origins, origin));
+  }
+
+  /**
+   * @returns {Array<Object>} Public view of every key
+   */
+  function list() {
+    return state.keys.map(describeKey);
+  }
+
+  /**
+   * Create a key. The plain key is returned once and cannot be recovered.
+   *
+   * @param {Object} fields { id?, name?, origins?, quotas? }
+   * @returns {Promise<Object>} { key, record }
+   */
+  async function create(fields = {}) {
+    const plainKey = `sk_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = readKey(
+      {
+        id: fields.id || crypto.randomBytes(6).toString('hex'),
+        name: fields.name,
+        hash: hashKey(plainKey),
+        origins: fields.origins,
+        quotas: fields.quotas,
+        createdAt: new Date().toISOString(),
+      },
+      'key'
+    );
+    if (state.keys.some(k => k.id === record.id)) {
+      throw new Error(`Key id "${record.id}" already exists`);
+    }
+
+    apply({ ...state, keys: [...state.keys, record] });
+    await save();
+    return { key: plainKey, record: describeKey(record) };
+  }
+
+  /**
+   * Change the name, origins, quotas or disabled flag of a key.
+   *
+   * @param {string} id     Key id
+   * @param {Object} fields { name?, origins?, quotas?, disabled? }
+   * @returns {Promise<Object|null>} Updated record, null when unknown
+   */
+  async function update(id, fields = {}) {
+    const current = state.keys.find(k => k.id === id);
+    if (!current) return null;
+
+    const pick = field =>
+      fields[field] !== undefined ? fields[field] : current[field];
+    const record = readKey(
+      {
+        ...current,
+        name: pick('name'),
+        origins: pick('origins'),
+        quotas: pick('quotas'),
+        disabled: pick('disabled'),
+      },
+      'key'
+    );
+
+    apply({ ...state, keys: state.keys.map(k => (k.id === id ? record : k)) });
+    await save();
+    return describeKey(record);
+  }
+
+  /**
+   * Delete a key.
+   *
+   * @param {string} id Key id
+   * @returns {Promise<boolean>} false when the key does not exist
+   */
+  async function remove(id) {
+    if (!state.keys.some(k => k.id === id)) return false;
+    apply({ ...state, keys: state.keys.filter(k => k.id !== id) });
+    await save();
+    return true;
+  }
+
+  /**
+   * Reload the file when it changes on disk. An invalid edit is reported
+   * through onError and the previous keys stay in effect.
+   *
+   * @param {Function} onReload Called after a successful reload
+   * @param {Function} onError  Called with the error of a failed reload
+   * @returns {Function} Stops watching
+   */
+  function watch(onReload, onError) {
+    const listener = async (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        apply(await load());
+        onReload();
+      } catch (e) {
+        onError(e);
+      }
+    };
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, listener);
+    return () => fs.unwatchFile(file, listener);
+  }
+
+  return {
+    find,
+    anonymous,
+    allowsOrigin,
+    list,
+    create,
+    update,
+    remove,
+    watch,
+  };
+}
+
+module.exports = {
+  createKeyStore,
+  originAllowed,
+};
@@ -0,0 +1,181 @@
+/**
+ * utils/batches.js
+ *
+ * Per‑batch storage namespaces.
+ *   • Every upload batch gets a random, unguessable id,
+ *   • Its originals and outputs live in <root>/<batchId>/ folders,
+ *   • Whole batches are expired at once by the cleanup cron,
+ *   • A processed batch keeps an index (batch.json, next to its outputs) of
+ *     what each file became, so single files can be re‑compressed and the
+ *     ZIP rebuilt later.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// 128 random bits, hex encoded
+const BATCH_ID = /^[a-f0-9]{32}$/;
+const BATCH_INDEX = 'batch.json';
+
+// batchId → tail of the chain of pending index updates
+const indexUpdates = new Map();
+
+/**
+ * Whether a string is a well‑formed batch id.
+ *
+ * @param {string} id Candidate id
+ * @returns {boolean}
+ */
+function isBatchId(id) {
+  return typeof id === 'string' && BATCH_ID.test(id);
+}
+
+/**
+ * Allocate a new batch and create its folders.
+ *
+ * @param {string} uploadRoot    Root folder for original uploads
+ * @param {string} optimizedRoot Root folder for optimized outputs
+ * @returns {Promise<Object>} { id, uploadDir, outDir }
+ */
+async function createBatch(uploadRoot, optimizedRoot) {
+  const id = crypto.randomBytes(16).toString('hex');
+  const batch = {
+    id,
+    uploadDir: path.join(uploadRoot, id),
+    outDir: path.join(optimizedRoot, id),
+  };
+
+  await fs.mkdir(batch.uploadDir, { recursive: true });
+  await fs.mkdir(batch.outDir, { recursive: true });
+  return batch;
+}
+
+/**
+ * Delete a batch and everything in it.
+ *
+ * @param {Object} batch { uploadDir, outDir }
+ * @returns {Promise<void>}
+ */
+async function removeBatch(batch) {
+  await fs.rm(batch.uploadDir, { recursive: true, force: true });
+  await fs.rm(batch.outDir, { recursive: true, force: true });
+}
+
+/**
+ * Resolve a file inside a batch folder, refusing anything that could escape
+ * it. Returns null for malformed ids or names.
+ *
+ * @param {string} root     Root folder (uploads or optimized)
+ * @param {string} batchId  Batch id from the URL
+ * @param {string} filename File name from the URL
+ * @returns {string|null} Absolute path
+ */
+function resolveBatchFile(root, batchId, filename) {
+  if (!isBatchId(batchId)) return null;
+
+  const safeName = path.basename(filename);
+  if (!safeName || safeName !== filename) return null;
+
+  const batchDir = path.join(root, batchId);
+  const filePath = path.join(batchDir, safeName);
+  return filePath.startsWith(batchDir + path.sep) ? filePath : null;
+}
+
+/**
+ * Remove every batch folder under a root that has not been modified for
+ * longer than maxAgeMs.
+ *
+ * @param {string} root     Root folder (uploads or optimized)
+ * @param {number} maxAgeMs Maximum age after the last modification
+ * @returns {Promise<Array<string>>} Ids of the removed batches
+ */
+async function expireBatches(root, maxAgeMs) {
+  const now = Date.now();
+  const removed = [];
+  const entries = await fs.readdir(root, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isBatchId(entry.name)) continue;
+
+    const batchDir = path.join(root, entry.name);
+    const stats = await fs.stat(batchDir);
+    if (now - stats.mtimeMs > maxAgeMs) {
+      await fs.rm(batchDir, { recursive: true, force: true });
+      removed.push(entry.name);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Read the index of a processed batch.
+ *
+ * @param {Object} storage Storage backend (utils/storage.js)
+ * @param {string} batchId
+ * @returns {Promise<Object|null>} { files, zip }, or null when unknown
+ */
+async function readBatchIndex(storage, batchId) {
+  const data = await storage.read('optimized', batchId, BATCH_INDEX);
+  return data ? JSON.parse(data) : null;
+}
+
+/**
+ * Store the index of a processed batch.
+ *
+ * @param {Object} storage Storage backend (utils/storage.js)
+ * @param {string} batchId
+ * @param {Object} index   { files, zip } – files holds one entry per
+ *   processed file: { filename, baseName, result, revisions }
+ * @returns {Promise<void>}
+ */
+async function writeBatchIndex(storage, batchId, index) {
+  await storage.write(
+    'optimized',
+    batchId,
+    BATCH_INDEX,
+    Buffer.from(JSON.stringify(index))
+  );
+}
+
+/**
+ * Read, change and store the index of a batch. Updates of one batch run one
+ * after the other, so concurrent changes are not lost (within this process).
+ *
+ * @param {Object} storage  Storage backend (utils/storage.js)
+ * @param {string} batchId
+ * @param {Function} update Called with the index, changes it in place;
+ *   may be async, its result is passed on
+ * @returns {Promise<*>} Result of update, null when the batch is unknown
+ */
+function updateBatchIndex(storage, batchId, update) {
+  const previous = indexUpdates.get(batchId) || Promise.resolve();
+  const next = previous.then(async () => {
+    const index = await readBatchIndex(storage, batchId);
+    if (!index) return null;
+    const result = await update(index);
+    await writeBatchIndex(storage, batchId, index);
+    return result;
+  });
+
+  const settled = next.then(
+    () => {},
+    () => {}
+  );
+  indexUpdates.set(batchId, settled);
+  settled.then(() => {
+    if (indexUpdates.get(batchId) === settled) indexUpdates.delete(batchId);
+  });
+  return next;
+}
+
+module.exports = {
+  isBatchId,
+  createBatch,
+  removeBatch,
+  resolveBatchFile,
+  expireBatches,
+  readBatchIndex,
+  writeBatchIndex,
+  updateBatchIndex,
+};
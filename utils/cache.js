@@ -0,0 +1,234 @@
+/**
+ * utils/cache.js
+ *
+ * Content‑addressed cache of optimisation results.
+ *   • Keys are a SHA‑256 of the source bytes, its extension and the effective
+ *     compression settings, so an identical upload is only compressed once,
+ *   • Each entry lives in <dir>/<key>/ – the output files next to an
+ *     entry.json describing them,
+ *   • The total size is capped; least recently used entries are evicted
+ *     first. This is independent of the batch cleanup cron.
+ *
+ * The cache is best effort: a failure to read or write it never fails the
+ * file being processed.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const fsp = fs.promises;
+const crypto = require('crypto');
+
+// Bump when the processing pipeline changes so stale outputs are not reused
+const CACHE_VERSION = 5;
+
+const CACHE_KEY = /^[a-f0-9]{64}$/;
+const ENTRY_FILE = 'entry.json';
+
+/**
+ * Cache key for a file processed with the given settings.
+ *
+ * @param {Object} file     Multer file object – { path, originalname }
+ * @param {Object} settings Normalised compression settings
+ * @returns {Promise<string>} Hex SHA‑256
+ */
+async function cacheKey(file, settings) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(file.path)) {
+    hash.update(chunk);
+  }
+
+  // Sorted keys – the same settings always serialise the same way
+  const ext = path.extname(file.originalname).toLowerCase();
+  const fields = Object.keys(settings).sort();
+  hash.update(`\0${CACHE_VERSION}\0${ext}\0`);
+  hash.update(JSON.stringify(settings, fields));
+  return hash.digest('hex');
+}
+
+/**
+ * Open (or create) a result cache.
+ *
+ * @param {Object} options
+ * @param {string} options.dir      Folder holding the entries
+ * @param {number} options.maxBytes Size cap for all entries together
+ * @returns {Promise<Object>} { keyFor, restore, store, stats }
+ */
+async function createResultCache({ dir, maxBytes }) {
+  // key → { size, entry }, least recently used first
+  const index = new Map();
+  let totalBytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  const entryDir = key => path.join(dir, key);
+
+  function track(key, record) {
+    index.set(key, record);
+    totalBytes += record.size;
+  }
+
+  async function evict() {
+    while (totalBytes > maxBytes && index.size > 0) {
+      const [key, record] = index.entries().next().value;
+      index.delete(key);
+      totalBytes -= record.size;
+      await fsp.rm(entryDir(key), { recursive: true, force: true });
+    }
+  }
+
+  // Rebuild the index left by a previous run, oldest use first
+  await fsp.mkdir(dir, { recursive: true });
+  const found = [];
+  for (const name of await fsp.readdir(dir)) {
+    const entryPath = path.join(entryDir(name), ENTRY_FILE);
+    try {
+      if (!CACHE_KEY.test(name)) throw new Error('Not a cache entry');
+      const [raw, stats] = await Promise.all([
+        fsp.readFile(entryPath, 'utf8'),
+        fsp.stat(entryPath),
+      ]);
+      const entry = JSON.parse(raw);
+      if (entry.version !== CACHE_VERSION) throw new Error('Stale entry');
+      found.push({ key: name, entry, usedAt: stats.mtimeMs });
+    } catch {
+      // Interrupted writes, stale versions and stray files
+      await fsp.rm(entryDir(name), { recursive: true, force: true });
+    }
+  }
+  found
+    .sort((a, b) => a.usedAt - b.usedAt)
+    .forEach(f => track(f.key, { size: f.entry.size, entry: f.entry }));
+  await evict();
+
+  /**
+   * Copy a cached result into a batch folder.
+   *
+   * @param {string} key      Cache key
+   * @param {string} outDir   Destination folder
+   * @param {string} baseName Output base name for this batch
+   * @returns {Promise<Object|null>} Result fields (see optimiseFile) or null
+   */
+  async function restore(key, outDir, baseName) {
+    const record = index.get(key);
+    if (!record) {
+      misses++;
+      return null;
+    }
+
+    const { entry } = record;
+    const from = file => path.join(entryDir(key), file);
+    const to = suffix => path.join(outDir, `${baseName}${suffix}`);
+    try {
+      await fsp.copyFile(from('output'), to(entry.suffix));
+      for (const [i, v] of entry.variants.entries()) {
+        await fsp.copyFile(from(`variant-${i}`), to(v.suffix));
+      }
+    } catch {
+      // Evicted or damaged while in use – process the file again
+      index.delete(key);
+      totalBytes -= record.size;
+      await fsp.rm(entryDir(key), { recursive: true, force: true });
+      misses++;
+      return null;
+    }
+
+    // Mark as most recently used, in memory and for the next start
+    index.delete(key);
+    index.set(key, record);
+    const now = new Date();
+    fsp.utimes(from(ENTRY_FILE), now, now).catch(() => {});
+    hits++;
+
+    return {
+      ...entry.result,
+      optimizedPath: to(entry.suffix),
+      variants: entry.variants.map(v => ({
+        optimizedPath: to(v.suffix),
+        width: v.width,
+        height: v.height,
+        sizeAfter: v.sizeAfter,
+      })),
+    };
+  }
+
+  /**
+   * Store the result of optimiseFile, then evict down to the size cap.
+   *
+   * @param {string} key      Cache key
+   * @param {Object} result   Result of optimiseFile
+   * @param {string} baseName Base name the outputs were written with
+   * @returns {Promise<void>}
+   */
+  async function store(key, result, baseName) {
+    if (index.has(key)) return;
+
+    const size =
+      result.sizeAfter +
+      result.variants.reduce((acc, v) => acc + v.sizeAfter, 0);
+    if (size > maxBytes) return;
+
+    const suffix = p => path.basename(p).slice(baseName.length);
+    const entry = {
+      version: CACHE_VERSION,
+      size,
+      suffix: suffix(result.optimizedPath),
+      variants: result.variants.map(v => ({
+        suffix: suffix(v.optimizedPath),
+        width: v.width,
+        height: v.height,
+        sizeAfter: v.sizeAfter,
+      })),
+      result: {
+        format: result.format,
+        extension: result.extension,
+        mimeType: result.mimeType,
+        width: result.width,
+        height: result.height,
+        sizeBefore: result.sizeBefore,
+        sizeAfter: result.sizeAfter,
+        skipped: result.skipped,
+        targetSize: result.targetSize,
+        minSsim: result.minSsim,
+        metrics: result.metrics,
+        sanitised: result.sanitised,
+        metadata: result.metadata,
+        settings: result.settings,
+      },
+    };
+
+    // Written aside then renamed, so a crash never leaves half an entry
+    const tag = crypto.randomBytes(4).toString('hex');
+    const tmpDir = `${entryDir(key)}.tmp-${tag}`;
+    try {
+      await fsp.mkdir(tmpDir);
+      await fsp.copyFile(result.optimizedPath, path.join(tmpDir, 'output'));
+      for (const [i, v] of result.variants.entries()) {
+        await fsp.copyFile(v.optimizedPath, path.join(tmpDir, `variant-${i}`));
+      }
+      await fsp.writeFile(path.join(tmpDir, ENTRY_FILE), JSON.stringify(entry));
+      await fsp.rename(tmpDir, entryDir(key));
+    } catch {
+      // Another request stored the same key first, or the disk is full
+      await fsp.rm(tmpDir, { recursive: true, force: true });
+      return;
+    }
+
+    if (!index.has(key)) track(key, { size, entry });
+    await evict();
+  }
+
+  /**
+   * Counters for logs and monitoring.
+   *
+   * @returns {Object} { entries, bytes, maxBytes, hits, misses }
+   */
+  function stats() {
+    return { entries: index.size, bytes: totalBytes, maxBytes, hits, misses };
+  }
+
+  return { keyFor: cacheKey, restore, store, stats };
+}
+
+module.exports = {
+  createResultCache,
+};
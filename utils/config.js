@@ -0,0 +1,436 @@
+/**
+ * utils/config.js
+ *
+ * Layered runtime configuration.
+ *   1. Built‑in defaults,
+ *   2. An optional JSON or YAML file (sora-lite.config.json / .yaml / .yml in
+ *      the project folder, or the file named by CONFIG_FILE),
+ *   3. Environment variables.
+ *
+ * Every value is validated once at start‑up; all problems are reported
+ * together so a deployment can be fixed in one go.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const YAML = require('yaml');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONFIG_FILES = [
+  'sora-lite.config.json',
+  'sora-lite.config.yaml',
+  'sora-lite.config.yml',
+];
+
+// Option → environment variable, type and default
+const SCHEMA = {
+  port: { env: 'PORT', type: 'int', min: 0, max: 65535, default: 7841 },
+  portSsl: { env: 'PORT_SSL', type: 'int', min: 0, max: 65535, default: 7840 },
+  uploadDir: { env: 'UPLOAD_DIR', type: 'path', default: 'uploads' },
+  optimizedDir: { env: 'OPTIMIZED_DIR', type: 'path', default: 'optimized' },
+  cleanupEnabled: { env: 'CLEANUP_ENABLED', type: 'bool', default: true },
+  cleanupAfterMs: {
+    env: 'CLEANUP_AFTER_MS',
+    type: 'int',
+    min: 1000,
+    max: 7 * 24 * 60 * 60 * 1000,
+    default: 5 * 60 * 1000,
+  },
+  batchMaxLifetimeMs: {
+    env: 'BATCH_MAX_LIFETIME_MS',
+    type: 'int',
+    min: 1000,
+    max: 30 * 24 * 60 * 60 * 1000,
+    default: 24 * 60 * 60 * 1000,
+  },
+  zipReport: { env: 'ZIP_REPORT', type: 'bool', default: true },
+  maxTotalSize: {
+    env: 'MAX_TOTAL_SIZE',
+    type: 'int',
+    min: 1024,
+    max: 10 * 1024 * 1024 * 1024,
+    default: 100 * 1024 * 1024,
+  },
+  maxFiles: { env: 'MAX_FILES', type: 'int', min: 1, max: 1000, default: 20 },
+  maxPixels: {
+    env: 'MAX_PIXELS',
+    type: 'int',
+    min: 1,
+    max: 1000 * 1000 * 1000,
+    default: 100 * 1000 * 1000,
+  },
+  maxDimension: {
+    env: 'MAX_DIMENSION',
+    type: 'int',
+    min: 1,
+    max: 100000,
+    default: 20000,
+  },
+  concurrency: { env: 'CONCURRENCY', type: 'int', min: 1, max: 64, default: 6 },
+  queueMaxFiles: {
+    env: 'QUEUE_MAX_FILES',
+    type: 'int',
+    min: 0,
+    max: 100000,
+    default: 200,
+  },
+  fileTimeoutMs: {
+    env: 'FILE_TIMEOUT_MS',
+    type: 'int',
+    min: 1000,
+    max: 60 * 60 * 1000,
+    default: 2 * 60 * 1000,
+  },
+  cacheDir: { env: 'CACHE_DIR', type: 'path', default: 'cache' },
+  cacheMaxBytes: {
+    env: 'CACHE_MAX_BYTES',
+    type: 'int',
+    min: 0,
+    max: Number.MAX_SAFE_INTEGER,
+    default: 512 * 1024 * 1024,
+  },
+  tlsCert: { env: 'TLS_CERT', type: 'path', optional: true, default: null },
+  tlsKey: { env: 'TLS_KEY', type: 'path', optional: true, default: null },
+  tlsCa: { env: 'TLS_CA', type: 'path', optional: true, default: null },
+  tlsSelfSigned: { env: 'TLS_SELF_SIGNED', type: 'bool', default: false },
+  tlsSelfSignedDir: {
+    env: 'TLS_SELF_SIGNED_DIR',
+    type: 'path',
+    default: 'tls',
+  },
+  httpsRedirect: { env: 'HTTPS_REDIRECT', type: 'bool', default: false },
+  apiKeysFile: {
+    env: 'API_KEYS_FILE',
+    type: 'path',
+    optional: true,
+    default: null,
+  },
+  presetsFile: {
+    env: 'PRESETS_FILE',
+    type: 'path',
+    default: 'presets.json',
+  },
+  adminToken: {
+    env: 'ADMIN_TOKEN',
+    type: 'secret',
+    optional: true,
+    default: null,
+  },
+  storage: {
+    env: 'STORAGE',
+    type: 'enum',
+    values: ['local', 's3'],
+    default: 'local',
+  },
+  s3Bucket: { env: 'S3_BUCKET', type: 'string', optional: true, default: null },
+  s3Region: { env: 'S3_REGION', type: 'string', default: 'us-east-1' },
+  s3Endpoint: {
+    env: 'S3_ENDPOINT',
+    type: 'url',
+    optional: true,
+    default: null,
+  },
+  s3ForcePathStyle: {
+    env: 'S3_FORCE_PATH_STYLE',
+    type: 'bool',
+    default: false,
+  },
+  s3Prefix: { env: 'S3_PREFIX', type: 'string', optional: true, default: null },
+  s3UrlExpiresS: {
+    env: 'S3_URL_EXPIRES',
+    type: 'int',
+    min: 1,
+    max: 7 * 24 * 60 * 60,
+    default: 300,
+  },
+  s3ExpireDays: {
+    env: 'S3_EXPIRE_DAYS',
+    type: 'int',
+    min: 1,
+    max: 3650,
+    default: 1,
+  },
+  s3ManageLifecycle: {
+    env: 'S3_MANAGE_LIFECYCLE',
+    type: 'bool',
+    default: false,
+  },
+  imgWidths: {
+    env: 'IMG_WIDTHS',
+    type: 'intList',
+    min: 1,
+    max: 100000,
+    default: [320, 640, 960, 1280, 1920],
+  },
+  imgHeights: {
+    env: 'IMG_HEIGHTS',
+    type: 'intList',
+    min: 1,
+    max: 100000,
+    default: [320, 640, 960, 1280, 1920],
+  },
+  imgQualities: {
+    env: 'IMG_QUALITIES',
+    type: 'intList',
+    min: 1,
+    max: 100,
+    default: [50, 75, 90],
+  },
+  imgSigningKey: {
+    env: 'IMG_SIGNING_KEY',
+    type: 'secret',
+    optional: true,
+    default: null,
+  },
+  imgMaxAge: {
+    env: 'IMG_MAX_AGE',
+    type: 'int',
+    min: 0,
+    max: 365 * 24 * 60 * 60,
+    default: 24 * 60 * 60,
+  },
+  imgRendersPerMinute: {
+    env: 'IMG_RENDERS_PER_MINUTE',
+    type: 'int',
+    min: 0,
+    max: 100000,
+    default: 60,
+  },
+  resumableExpiresMs: {
+    env: 'RESUMABLE_EXPIRES_MS',
+    type: 'int',
+    min: 60 * 1000,
+    max: 30 * 24 * 60 * 60 * 1000,
+    default: 24 * 60 * 60 * 1000,
+  },
+  webhookSecret: {
+    env: 'WEBHOOK_SECRET',
+    type: 'secret',
+    optional: true,
+    default: null,
+  },
+  webhookMaxAttempts: {
+    env: 'WEBHOOK_MAX_ATTEMPTS',
+    type: 'int',
+    min: 1,
+    max: 20,
+    default: 8,
+  },
+  webhookAllowPrivate: {
+    env: 'WEBHOOK_ALLOW_PRIVATE',
+    type: 'bool',
+    default: false,
+  },
+};
+
+/**
+ * Validate and normalise one value. Environment variables arrive as strings,
+ * file values as JSON / YAML scalars; both are accepted.
+ *
+ * @param {Object} spec Schema entry
+ * @param {*} raw       Raw value
+ * @returns {*} Normalised value
+ * @throws {Error} With a message describing the expected value
+ */
+function readValue(spec, raw) {
+  if (spec.optional && raw === null) return null;
+
+  switch (spec.type) {
+    case 'int': {
+      const value = typeof raw === 'string' && raw.trim() ? Number(raw) : raw;
+      if (!Number.isInteger(value) || value < spec.min || value > spec.max) {
+        throw new Error(
+          `must be an integer between ${spec.min} and ${spec.max}`
+        );
+      }
+      return value;
+    }
+    case 'intList': {
+      // "320,640" from the environment, an array from a file
+      const values =
+        typeof raw === 'string'
+          ? raw.split(',').map(v => (v.trim() ? Number(v) : NaN))
+          : raw;
+      if (
+        !Array.isArray(values) ||
+        !values.every(
+          v => Number.isInteger(v) && v >= spec.min && v <= spec.max
+        )
+      ) {
+        throw new Error(
+          `must be a list of integers between ${spec.min} and ${spec.max}`
+        );
+      }
+      return values;
+    }
+    case 'bool': {
+      const value = String(raw).toLowerCase();
+      if (['true', '1', 'on', 'yes'].includes(value)) return true;
+      if (['false', '0', 'off', 'no'].includes(value)) return false;
+      throw new Error('must be a boolean');
+    }
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        throw new Error(`must be one of ${spec.values.join(', ')}`);
+      }
+      return raw;
+    case 'string':
+      if (typeof raw !== 'string' || !raw.trim()) {
+        throw new Error('must be a non‑empty string');
+      }
+      return raw.trim();
+    case 'url': {
+      let url = null;
+      try {
+        url = new URL(raw);
+      } catch {
+        // reported below
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        throw new Error('must be an http(s) URL');
+      }
+      return url.href;
+    }
+    case 'secret':
+      if (typeof raw !== 'string' || raw.length < 16) {
+        throw new Error('must be a string of at least 16 characters');
+      }
+      return raw;
+    case 'path':
+      if (typeof raw !== 'string' || !raw.trim()) {
+        throw new Error('must be a non‑empty path');
+      }
+      return path.resolve(ROOT_DIR, raw);
+    default:
+      throw new Error(`has unknown type ${spec.type}`);
+  }
+}
+
+/**
+ * Find and parse the configuration file, if there is one.
+ *
+ * @param {Object} env Environment variables
+ * @returns {Object} { file, values } – file is null when none was found
+ * @throws {Error} When the file cannot be read or parsed
+ */
+function readConfigFile(env) {
+  const file = env.CONFIG_FILE
+    ? path.resolve(env.CONFIG_FILE)
+    : CONFIG_FILES.map(name => path.join(ROOT_DIR, name)).find(f =>
+        fs.existsSync(f)
+      );
+  if (!file) return { file: null, values: {} };
+
+  let values;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    values = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Cannot read config file ${file}: ${e.message}`);
+  }
+
+  if (values === null || values === undefined) values = {};
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Config file ${file} must contain an object`);
+  }
+  return { file, values };
+}
+
+/**
+ * Checks that involve several options.
+ *
+ * @param {Object} config Validated options
+ * @returns {Array<string>} Problems found
+ */
+function crossCheck(config) {
+  const errors = [];
+  if (Boolean(config.tlsCert) !== Boolean(config.tlsKey)) {
+    errors.push('tlsCert / tlsKey: both must be set to enable HTTPS');
+  }
+  if (config.tlsCa && !config.tlsCert) {
+    errors.push('tlsCa: only used together with tlsCert and tlsKey');
+  }
+  if (config.tlsSelfSigned && config.tlsCert) {
+    errors.push('tlsSelfSigned: cannot be combined with tlsCert / tlsKey');
+  }
+  if (config.httpsRedirect && !config.tlsCert && !config.tlsSelfSigned) {
+    errors.push('httpsRedirect: requires tlsCert / tlsKey or tlsSelfSigned');
+  }
+  if (config.batchMaxLifetimeMs < config.cleanupAfterMs) {
+    errors.push('batchMaxLifetimeMs: must be at least cleanupAfterMs');
+  }
+  if (config.storage === 's3' && !config.s3Bucket) {
+    errors.push('s3Bucket: required when storage is "s3"');
+  }
+  return errors;
+}
+
+/**
+ * Build the effective configuration: defaults, then the config file, then
+ * environment variables.
+ *
+ * @param {Object} [env=process.env] Environment variables
+ * @returns {Object} Frozen configuration, plus `configFile` (path or null)
+ * @throws {Error} Listing every invalid or unknown option
+ */
+function loadConfig(env = process.env) {
+  const { file, values } = readConfigFile(env);
+  const errors = [];
+  const config = {};
+
+  for (const key of Object.keys(values)) {
+    if (!SCHEMA[key]) errors.push(`${key}: unknown option (in ${file})`);
+  }
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    let raw = spec.default;
+    let source = 'default';
+    if (values[key] !== undefined) {
+      raw = values[key];
+      source = file;
+    }
+    if (env[spec.env] !== undefined && env[spec.env] !== '') {
+      raw = env[spec.env];
+      source = `env ${spec.env}`;
+    }
+
+    try {
+      config[key] = readValue(spec, raw);
+    } catch (e) {
+      // Never echo secrets back into the logs
+      const shown = spec.type === 'secret' ? '(hidden)' : JSON.stringify(raw);
+      errors.push(`${key}: ${e.message} (got ${shown} from ${source})`);
+    }
+  }
+
+  if (errors.length === 0) errors.push(...crossCheck(config));
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`
+    );
+  }
+
+  config.configFile = file;
+  return Object.freeze(config);
+}
+
+/**
+ * Limits the browser needs to validate a selection before uploading
+ * (what GET /config returns).
+ *
+ * @param {Object} config Result of loadConfig
+ * @returns {Object}
+ */
+function publicConfig(config) {
+  return {
+    maxFiles: config.maxFiles,
+    maxTotalSize: config.maxTotalSize,
+    maxPixels: config.maxPixels,
+    maxDimension: config.maxDimension,
+  };
+}
+
+module.exports = {
+  loadConfig,
+  publicConfig,
+};
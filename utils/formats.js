@@ -0,0 +1,53 @@
+/**
+ * utils/formats.js
+ *
+ * Image formats known to the service – accepted as input and produced as
+ * output – with their canonical extension and MIME type. SVG is accepted but
+ * only ever minified and sanitised, never converted (see utils/svg.js).
+ */
+
+const path = require('path');
+
+const FORMATS = Object.freeze({
+  jpeg: { ext: '.jpg', mime: 'image/jpeg' },
+  png: { ext: '.png', mime: 'image/png' },
+  webp: { ext: '.webp', mime: 'image/webp' },
+  avif: { ext: '.avif', mime: 'image/avif' },
+  gif: { ext: '.gif', mime: 'image/gif' },
+  svg: { ext: '.svg', mime: 'image/svg+xml' },
+});
+
+// Formats a raster image can be converted to
+const OUTPUT_FORMATS = Object.freeze(['jpeg', 'png', 'webp', 'avif', 'gif']);
+
+// Extensions accepted on upload, mapped to their format
+const EXTENSIONS = Object.freeze({
+  '.jpg': 'jpeg',
+  '.jpeg': 'jpeg',
+  '.png': 'png',
+  '.webp': 'webp',
+  '.avif': 'avif',
+  '.gif': 'gif',
+  '.svg': 'svg',
+});
+
+const ALLOWED_UPLOAD = /\.(jpe?g|png|webp|avif|gif|svg)$/i;
+
+/**
+ * Resolve the format of a file from its name.
+ *
+ * @param {string} filename File name or path
+ * @returns {string|null} Format key (see FORMATS) or null when unsupported
+ */
+function formatFromName(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return EXTENSIONS[ext] || null;
+}
+
+module.exports = {
+  FORMATS,
+  OUTPUT_FORMATS,
+  EXTENSIONS,
+  ALLOWED_UPLOAD,
+  formatFromName,
+};
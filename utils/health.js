@@ -0,0 +1,83 @@
+/**
+ * utils/health.js
+ *
+ * Checks behind GET /healthz and GET /readyz.
+ *   • The upload and optimized folders accept writes,
+ *   • The imagemin encoder binaries (mozjpeg, pngquant) run,
+ *   • The storage backend answers (utils/storage.js).
+ *
+ * Probes usually poll every few seconds, so a successful encoder check is
+ * reused for a minute; a failed one is retried on the next probe.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const { checkEncoders } = require('./processor');
+
+const ENCODER_CHECK_TTL_MS = 60 * 1000;
+
+let encodersCheckedAt = 0;
+
+/**
+ * Write and delete a small file in a folder.
+ *
+ * @param {string} dir Folder to probe
+ * @returns {Promise<void>}
+ * @throws {Error} When the folder is missing or not writable
+ */
+async function probeWritable(dir) {
+  const probe = path.join(
+    dir,
+    `.healthz-${crypto.randomBytes(4).toString('hex')}`
+  );
+  await fs.writeFile(probe, '');
+  await fs.rm(probe, { force: true });
+}
+
+/**
+ * Encoder check, remembered for ENCODER_CHECK_TTL_MS once it passes.
+ *
+ * @returns {Promise<void>}
+ */
+async function probeEncoders() {
+  if (Date.now() - encodersCheckedAt < ENCODER_CHECK_TTL_MS) return;
+  await checkEncoders();
+  encodersCheckedAt = Date.now();
+}
+
+/**
+ * Run every check.
+ *
+ * @param {Object} targets
+ * @param {string} targets.uploadDir
+ * @param {string} targets.optimizedDir
+ * @param {Object} targets.storage Storage backend
+ * @returns {Promise<Object>} { ok, checks } – checks maps a name to
+ *   { ok, error? }
+ */
+async function runHealthChecks({ uploadDir, optimizedDir, storage }) {
+  const probes = {
+    uploadDir: () => probeWritable(uploadDir),
+    optimizedDir: () => probeWritable(optimizedDir),
+    encoders: probeEncoders,
+    storage: () => storage.check(),
+  };
+
+  const checks = {};
+  await Promise.all(
+    Object.entries(probes).map(async ([name, probe]) => {
+      try {
+        await probe();
+        checks[name] = { ok: true };
+      } catch (e) {
+        checks[name] = { ok: false, error: e.message };
+      }
+    })
+  );
+  return { ok: Object.values(checks).every(c => c.ok), checks };
+}
+
+module.exports = {
+  runHealthChecks,
+};
@@ -0,0 +1,189 @@
+/**
+ * utils/jobs.js
+ *
+ * In‑memory registry of asynchronous processing jobs.
+ *   • A job tracks one upload batch and the state of each of its files,
+ *   • Every state change is broadcast to subscribers (used by the SSE route),
+ *   • Finished jobs are pruned after a while by the cleanup cron.
+ *
+ * File states: queued → processing → done | failed
+ * Job states:  queued → processing → done | failed
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const jobs = new Map();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // one listener per open event stream
+
+/**
+ * Register a new job for a batch of uploaded files.
+ *
+ * @param {Array<string>} names Original names of the files, in upload order
+ * @param {string} batchId       Batch the files were stored in
+ * @returns {Object} The job record
+ */
+function createJob(names, batchId) {
+  const now = Date.now();
+  const job = {
+    id: crypto.randomBytes(12).toString('hex'),
+    batchId,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    files: names.map((originalName, index) => ({
+      index,
+      originalName,
+      status: 'queued',
+      result: null,
+      code: null,
+      error: null,
+    })),
+    result: null,
+    error: null,
+  };
+
+  jobs.set(job.id, job);
+  return job;
+}
+
+/**
+ * Look up a job by id.
+ *
+ * @param {string} id Job id
+ * @returns {Object|undefined} The job record
+ */
+function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Update the state of one file of a job and notify subscribers.
+ *
+ * @param {Object} job    Job record
+ * @param {number} index  File index within the batch
+ * @param {string} status New file state
+ * @param {Object} [data] { result } when done, { code, error } when failed
+ */
+function updateFile(job, index, status, data = {}) {
+  const file = job.files[index];
+  file.status = status;
+  if (data.result !== undefined) file.result = data.result;
+  if (data.code !== undefined) file.code = data.code;
+  if (data.error !== undefined) file.error = data.error;
+
+  if (job.status === 'queued') job.status = 'processing';
+  job.updatedAt = Date.now();
+
+  emitter.emit(job.id, { type: 'file', file });
+}
+
+/**
+ * Mark a job as finished and notify subscribers.
+ *
+ * @param {Object} job    Job record
+ * @param {string} status "done" or "failed"
+ * @param {Object} [data] { result } on success, { error } on failure
+ */
+function finishJob(job, status, data = {}) {
+  job.status = status;
+  job.result = data.result || null;
+  job.error = data.error || null;
+  job.updatedAt = Date.now();
+
+  emitter.emit(job.id, { type: 'job', job: serializeJob(job) });
+}
+
+/**
+ * Listen to the events of a job.
+ *
+ * @param {string} id         Job id
+ * @param {Function} listener Called with { type: "file" | "job", ... }
+ * @returns {Function} Unsubscribe function
+ */
+function subscribe(id, listener) {
+  emitter.on(id, listener);
+  return () => emitter.off(id, listener);
+}
+
+/**
+ * Whether a job has reached a terminal state.
+ *
+ * @param {Object} job Job record
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
+
+/**
+ * Public view of a job (what GET /jobs/:id returns).
+ *
+ * @param {Object} job Job record
+ * @returns {Object}
+ */
+function serializeJob(job) {
+  const count = status => job.files.filter(f => f.status === status).length;
+
+  return {
+    id: job.id,
+    batchId: job.batchId,
+    status: job.status,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    progress: {
+      total: job.files.length,
+      queued: count('queued'),
+      processing: count('processing'),
+      done: count('done'),
+      failed: count('failed'),
+    },
+    files: job.files,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * Number of jobs still queued or processing.
+ *
+ * @returns {number}
+ */
+function countActive() {
+  let active = 0;
+  for (const job of jobs.values()) {
+    if (!isFinished(job)) active++;
+  }
+  return active;
+}
+
+/**
+ * Forget finished jobs older than the given age.
+ *
+ * @param {number} maxAgeMs Age after the last update
+ * @returns {number} Number of pruned jobs
+ */
+function pruneJobs(maxAgeMs) {
+  const now = Date.now();
+  let pruned = 0;
+  for (const [id, job] of jobs) {
+    if (isFinished(job) && now - job.updatedAt > maxAgeMs) {
+      jobs.delete(id);
+      pruned++;
+    }
+  }
+  return pruned;
+}
+
+module.exports = {
+  createJob,
+  getJob,
+  updateFile,
+  finishJob,
+  subscribe,
+  isFinished,
+  serializeJob,
+  countActive,
+  pruneJobs,
+};
@@ -0,0 +1,271 @@
+/**
+ * utils/metadata.js
+ *
+ * Image metadata policy.
+ *   • Inspects which metadata an upload carries (EXIF, GPS, ICC, IPTC, XMP),
+ *   • Configures a sharp pipeline to strip or keep it and to apply the EXIF
+ *     orientation to the pixels,
+ *   • Reports what was found, kept and removed,
+ *   • Strips metadata from an encoded JPEG, PNG or WebP without re‑encoding
+ *     it, for when the original is served instead of a bigger output.
+ *
+ * Policies:
+ *   strip    – remove everything
+ *   keep-icc – keep only the ICC colour profile and the EXIF copyright
+ *   keep-all – keep everything (GPS included)
+ */
+
+const sharp = require('sharp');
+const exifReader = require('exif-reader');
+
+const METADATA_POLICIES = ['strip', 'keep-icc', 'keep-all'];
+
+// Metadata blocks reported to the client, in a stable order
+const BLOCKS = ['exif', 'gps', 'icc', 'iptc', 'xmp'];
+
+// JPEG APPn segments kept by stripJpeg: JFIF (APP0), ICC profile (APP2) and
+// Adobe (APP14, tells how the colours were transformed)
+const JPEG_APP0 = 0xe0;
+const JPEG_APP2 = 0xe2;
+const JPEG_APP14 = 0xee;
+const JPEG_COM = 0xfe;
+const JPEG_SOS = 0xda;
+const JPEG_EOI = Buffer.from([0xff, 0xd9]);
+const ICC_SIGNATURE = Buffer.from('ICC_PROFILE\0', 'latin1');
+
+// PNG chunks removed by stripPng: text (XMP, IPTC and EXIF raw profiles
+// included), EXIF and the modification time
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+// WebP VP8X flags of the chunks removed by stripWebp
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+/**
+ * Parse an EXIF block, tolerating malformed data.
+ */
+function parseExif(buffer) {
+  if (!buffer) return null;
+  try {
+    return exifReader(buffer);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Inspect the metadata of an image without decoding its pixels.
+ *
+ * @param {Buffer} buffer Source image
+ * @returns {Promise<Object>} { orientation, exif, gps, icc, iptc, xmp, copyright }
+ */
+async function inspectMetadata(buffer) {
+  const meta = await sharp(buffer).metadata();
+  const exif = parseExif(meta.exif);
+  const gps = Boolean(exif && exif.GPSInfo && Object.keys(exif.GPSInfo).length);
+
+  return {
+    orientation: meta.orientation || 1,
+    exif: Boolean(meta.exif),
+    gps,
+    icc: Boolean(meta.icc),
+    iptc: Boolean(meta.iptc),
+    xmp: Boolean(meta.xmp),
+    copyright: (exif && exif.Image && exif.Image.Copyright) || null,
+  };
+}
+
+/**
+ * Whether the pixels must be rotated/flipped to honour the EXIF orientation.
+ *
+ * @param {Object} found    Result of inspectMetadata
+ * @param {Object} settings Normalised compression settings
+ * @returns {boolean}
+ */
+function needsOrientation(found, settings) {
+  return settings.autoOrient && found.orientation > 1;
+}
+
+/**
+ * Whether the output has to be encoded by sharp to honour the policy –
+ * the imagemin binaries drop metadata, so only "strip" can go through them.
+ *
+ * @param {Object} found    Result of inspectMetadata
+ * @param {Object} settings Normalised compression settings
+ * @returns {boolean}
+ */
+function needsSharpEncoder(found, settings) {
+  if (settings.metadata === 'strip') return false;
+  return BLOCKS.some(block => found[block]);
+}
+
+/**
+ * Apply orientation and the metadata policy to a sharp pipeline.
+ *
+ * @param {Object} image    sharp instance
+ * @param {Object} found    Result of inspectMetadata
+ * @param {Object} settings Normalised compression settings
+ * @returns {Object} The same sharp instance
+ */
+function applyMetadata(image, found, settings) {
+  if (needsOrientation(found, settings)) image.rotate();
+
+  if (settings.metadata === 'keep-all') {
+    image.keepMetadata();
+  } else if (settings.metadata === 'keep-icc') {
+    if (found.icc) image.keepIccProfile();
+    if (found.copyright) {
+      image.withExif({ IFD0: { Copyright: String(found.copyright) } });
+    }
+  }
+  return image;
+}
+
+/**
+ * Describe what happened to the metadata of a file.
+ *
+ * @param {Object} found    Result of inspectMetadata
+ * @param {Object} settings Normalised compression settings
+ * @returns {Object} { found, kept, removed, oriented }
+ */
+function metadataReport(found, settings) {
+  const present = BLOCKS.filter(block => found[block]);
+  let kept = [];
+
+  if (settings.metadata === 'keep-all') {
+    kept = present;
+  } else if (settings.metadata === 'keep-icc') {
+    kept = present.filter(block => block === 'icc');
+    if (found.copyright) kept.push('exif');
+  }
+
+  return {
+    found: present,
+    kept,
+    removed: present.filter(block => !kept.includes(block)),
+    gps: found.gps,
+    copyright: found.copyright,
+    oriented: needsOrientation(found, settings),
+  };
+}
+
+/**
+ * JPEG – drop every APPn segment but JFIF, ICC and Adobe, and the comments.
+ * Data after the end of the image (MPF images, trailers) goes as well.
+ */
+function stripJpeg(buf) {
+  const parts = [buf.subarray(0, 2)];
+  let pos = 2;
+
+  while (pos + 4 <= buf.length) {
+    if (buf[pos] !== 0xff) return null;
+    const marker = buf[pos + 1];
+    // Fill bytes before a marker
+    if (marker === 0xff) {
+      pos++;
+      continue;
+    }
+    if (marker === JPEG_SOS) {
+      // The scans are copied as they are, up to and including EOI
+      const eoi = buf.indexOf(JPEG_EOI, pos + 2);
+      if (eoi === -1) return null;
+      parts.push(buf.subarray(pos, eoi + 2));
+      return Buffer.concat(parts);
+    }
+
+    const end = pos + 2 + buf.readUInt16BE(pos + 2);
+    if (end > buf.length) return null;
+    const segment = buf.subarray(pos, end);
+    const isApp = marker >= JPEG_APP0 && marker <= 0xef;
+    const isIcc =
+      marker === JPEG_APP2 &&
+      segment.subarray(4, 4 + ICC_SIGNATURE.length).equals(ICC_SIGNATURE);
+    const kept = isApp
+      ? marker === JPEG_APP0 || marker === JPEG_APP14 || isIcc
+      : marker !== JPEG_COM;
+    if (kept) parts.push(segment);
+    pos = end;
+  }
+  return null;
+}
+
+/**
+ * PNG – drop the text, EXIF and time chunks, and anything after IEND.
+ */
+function stripPng(buf) {
+  const parts = [buf.subarray(0, 8)];
+  let pos = 8;
+
+  while (pos + 12 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const end = pos + 12 + length;
+    if (end > buf.length) return null;
+    if (!PNG_METADATA_CHUNKS.includes(type)) parts.push(buf.subarray(pos, end));
+    if (type === 'IEND') return Buffer.concat(parts);
+    pos = end;
+  }
+  return null;
+}
+
+/**
+ * WebP – drop the EXIF and XMP chunks (only the extended format has any),
+ * and anything after the RIFF container.
+ */
+function stripWebp(buf) {
+  const riffSize = buf.readUInt32LE(4);
+  const riffEnd = 8 + riffSize + (riffSize % 2);
+  if (riffEnd > buf.length) return null;
+  if (buf.toString('latin1', 12, 16) !== 'VP8X') {
+    return buf.subarray(0, riffEnd);
+  }
+
+  const parts = [];
+  let pos = 12;
+  while (pos + 8 <= riffEnd) {
+    const type = buf.toString('latin1', pos, pos + 4);
+    const size = buf.readUInt32LE(pos + 4);
+    const end = pos + 8 + size + (size % 2);
+    if (end > riffEnd) return null;
+    if (type !== 'EXIF' && type !== 'XMP ') parts.push(buf.subarray(pos, end));
+    pos = end;
+  }
+
+  const chunks = Buffer.concat(parts);
+  // VP8X comes first; its flags byte follows the chunk header
+  chunks[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+  const header = Buffer.from(buf.subarray(0, 12));
+  header.writeUInt32LE(4 + chunks.length, 4);
+  return Buffer.concat([header, chunks]);
+}
+
+const STRIPPERS = { jpeg: stripJpeg, png: stripPng, webp: stripWebp };
+
+/**
+ * Remove the metadata of an encoded image without re‑encoding it: EXIF
+ * (GPS included), IPTC, XMP and comments. The ICC profile stays, since
+ * dropping it would change the colours.
+ *
+ * @param {Buffer} buffer   Encoded image
+ * @param {string} format   Its format key
+ * @param {Object} found    Result of inspectMetadata
+ * @param {Object} settings Normalised compression settings
+ * @returns {Buffer|null} Stripped image, null when that cannot be done
+ *   losslessly – other formats, malformed data, or an EXIF copyright that
+ *   "keep-icc" would keep on its own
+ */
+function stripMetadata(buffer, format, found, settings) {
+  if (settings.metadata === 'keep-icc' && found.copyright) return null;
+  const strip = STRIPPERS[format];
+  return strip ? strip(buffer) : null;
+}
+
+module.exports = {
+  METADATA_POLICIES,
+  inspectMetadata,
+  needsOrientation,
+  needsSharpEncoder,
+  applyMetadata,
+  metadataReport,
+  stripMetadata,
+};
@@ -0,0 +1,190 @@
+/**
+ * utils/metrics.js
+ *
+ * Prometheus metrics (served by GET /metrics).
+ *   • Files processed by source and output format, bytes in and out, the
+ *     compression ratio and per‑file processing latency,
+ *   • Processing queue depth and active jobs, read when scraped,
+ *   • Upload rejections by reason and cleanup deletions,
+ *   • The default Node.js process metrics.
+ */
+
+const client = require('prom-client');
+const { formatFromName } = require('./formats');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const filesProcessed = new client.Counter({
+  name: 'sora_files_processed_total',
+  help: 'Files processed, by source format, output format and outcome',
+  labelNames: ['source_format', 'output_format', 'status'],
+  registers: [register],
+});
+
+const bytesBefore = new client.Counter({
+  name: 'sora_bytes_before_total',
+  help: 'Size of the processed source files, in bytes',
+  labelNames: ['source_format'],
+  registers: [register],
+});
+
+const bytesAfter = new client.Counter({
+  name: 'sora_bytes_after_total',
+  help: 'Size of the optimised outputs (without variants), in bytes',
+  labelNames: ['output_format'],
+  registers: [register],
+});
+
+const compressionRatio = new client.Histogram({
+  name: 'sora_compression_ratio',
+  help: 'Output size divided by source size, per file',
+  labelNames: ['output_format'],
+  buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.5],
+  registers: [register],
+});
+
+const processingSeconds = new client.Histogram({
+  name: 'sora_file_processing_seconds',
+  help: 'Time spent processing one file, once it got a worker slot',
+  labelNames: ['status', 'cache'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register],
+});
+
+const uploadRejections = new client.Counter({
+  name: 'sora_upload_rejections_total',
+  help: 'Rejected uploads or files, by reason',
+  labelNames: ['reason'],
+  registers: [register],
+});
+
+const cleanupDeletions = new client.Counter({
+  name: 'sora_cleanup_deletions_total',
+  help: 'Items removed by the cleanup cron (upload / optimized batches, jobs)',
+  labelNames: ['kind'],
+  registers: [register],
+});
+
+const webhookAttempts = new client.Counter({
+  name: 'sora_webhook_attempts_total',
+  help: 'Webhook delivery attempts, by outcome',
+  labelNames: ['outcome'],
+  registers: [register],
+});
+
+/**
+ * Gauges whose value is read from elsewhere when the registry is scraped.
+ *
+ * @param {Object} sources
+ * @param {Function} sources.queueStats  Returns { waiting, active }
+ * @param {Function} sources.activeJobs  Returns the number of running jobs
+ */
+function trackGauges({ queueStats, activeJobs }) {
+  new client.Gauge({
+    name: 'sora_queue_depth',
+    help: 'Files waiting for a worker slot',
+    registers: [register],
+    collect() {
+      this.set(queueStats().waiting);
+    },
+  });
+  new client.Gauge({
+    name: 'sora_files_in_progress',
+    help: 'Files being processed',
+    registers: [register],
+    collect() {
+      this.set(queueStats().active);
+    },
+  });
+  new client.Gauge({
+    name: 'sora_active_jobs',
+    help: 'Asynchronous jobs queued or processing',
+    registers: [register],
+    collect() {
+      this.set(activeJobs());
+    },
+  });
+}
+
+/**
+ * Wrap a processFiles onProgress callback so every file is counted and
+ * timed, then passed on unchanged.
+ *
+ * @param {Array<Object>} files       Multer file objects given to processFiles
+ * @param {Function} [onProgress]     Callback to forward to
+ * @returns {Function} (index, status, data) callback for processFiles
+ */
+function recordProgress(files, onProgress = () => {}) {
+  const timers = new Map();
+
+  return (index, status, data) => {
+    const sourceFormat = formatFromName(files[index].originalname) || 'unknown';
+
+    if (status === 'processing') {
+      timers.set(index, processingSeconds.startTimer());
+    } else if (status === 'done') {
+      timers.get(index)({ status, cache: data.cache || 'none' });
+      filesProcessed.inc({
+        source_format: sourceFormat,
+        output_format: data.format,
+        status,
+      });
+      bytesBefore.inc({ source_format: sourceFormat }, data.sizeBefore);
+      bytesAfter.inc({ output_format: data.format }, data.sizeAfter);
+      if (data.sizeBefore > 0) {
+        compressionRatio.observe(
+          { output_format: data.format },
+          data.sizeAfter / data.sizeBefore
+        );
+      }
+    } else if (status === 'failed') {
+      timers.get(index)({ status, cache: 'none' });
+      filesProcessed.inc({
+        source_format: sourceFormat,
+        output_format: 'none',
+        status,
+      });
+    }
+
+    onProgress(index, status, data);
+  };
+}
+
+/**
+ * Count a rejected upload (whole batch) or rejected file.
+ *
+ * @param {string} reason Short machine‑readable reason, e.g. "too_large"
+ * @param {number} [count=1]
+ */
+function recordRejection(reason, count = 1) {
+  uploadRejections.inc({ reason }, count);
+}
+
+/**
+ * Count items removed by the cleanup cron.
+ *
+ * @param {string} kind  "uploads", "optimized", "jobs" or "webhooks"
+ * @param {number} count
+ */
+function recordCleanup(kind, count) {
+  cleanupDeletions.inc({ kind }, count);
+}
+
+/**
+ * Count a webhook delivery attempt.
+ *
+ * @param {string} outcome "delivered", "retrying" or "failed"
+ */
+function recordWebhookAttempt(outcome) {
+  webhookAttempts.inc({ outcome });
+}
+
+module.exports = {
+  register,
+  trackGauges,
+  recordProgress,
+  recordRejection,
+  recordCleanup,
+  recordWebhookAttempt,
+};
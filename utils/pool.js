@@ -0,0 +1,189 @@
+/**
+ * utils/pool.js
+ *
+ * Process‑wide pool of worker threads that run optimiseFile.
+ *   • At most `size` files are processed at once, however many requests are
+ *     in flight,
+ *   • Waiting files sit in a bounded queue, served by priority and then in
+ *     arrival order,
+ *   • A file that runs longer than `timeoutMs` has its worker terminated (a
+ *     new one takes its place) and fails with a timeout error.
+ *
+ * Decoding, encoding and metadata handling run off the main thread, so the
+ * event loop keeps answering requests while the pool is busy.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+const PRIORITIES = ['high', 'normal', 'low'];
+// Bounds of the Retry-After suggested while the queue is full
+const MIN_RETRY_AFTER_S = 1;
+const MAX_RETRY_AFTER_S = 60;
+// Weight of the latest file in the moving average of processing times
+const DURATION_WEIGHT = 0.2;
+
+/**
+ * Start a worker pool. Workers are spawned on demand and then kept.
+ *
+ * @param {Object} options
+ * @param {number} options.size      Max files processed in parallel
+ * @param {number} options.maxQueue  Max files waiting for a worker
+ * @param {number} options.timeoutMs Max processing time per file
+ * @returns {Object} { run, hasRoom, retryAfter, stats }
+ */
+function createWorkerPool({ size, maxQueue, timeoutMs }) {
+  // priority → tasks waiting, oldest first
+  const queues = new Map(PRIORITIES.map(p => [p, []]));
+  const idle = [];
+  let spawned = 0;
+  let active = 0;
+  let waiting = 0;
+  let averageMs = 1000;
+
+  function spawn() {
+    const worker = new Worker(WORKER_SCRIPT);
+    // The pool must not keep the process alive on its own
+    worker.unref();
+    worker.task = null;
+    spawned++;
+
+    worker.on('message', ({ result, error }) => {
+      const task = release(worker);
+      if (!task) return;
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        averageMs +=
+          (Date.now() - task.startedAt - averageMs) * DURATION_WEIGHT;
+        task.resolve(result);
+      }
+      idle.push(worker);
+      dispatch();
+    });
+    // An uncaught error ends the worker – fail its file, 'exit' follows
+    worker.on('error', err => {
+      const task = release(worker);
+      if (task) task.reject(err);
+    });
+    worker.on('exit', () => {
+      spawned--;
+      const i = idle.indexOf(worker);
+      if (i !== -1) idle.splice(i, 1);
+      const task = release(worker);
+      if (task) task.reject(new Error('Worker stopped unexpectedly'));
+      dispatch();
+    });
+    return worker;
+  }
+
+  function nextTask() {
+    for (const queue of queues.values()) {
+      if (queue.length) {
+        waiting--;
+        return queue.shift();
+      }
+    }
+    return null;
+  }
+
+  function start(worker, task) {
+    worker.task = task;
+    active++;
+    task.startedAt = Date.now();
+    task.timer = setTimeout(() => {
+      release(worker).reject(
+        new Error(`Processing timed out after ${timeoutMs / 1000} s`)
+      );
+      // Replaced once it has exited
+      worker.terminate();
+    }, timeoutMs);
+    task.onStart();
+    worker.postMessage(task.payload);
+  }
+
+  function dispatch() {
+    while (waiting > 0 && (idle.length > 0 || spawned < size)) {
+      const worker = idle.pop() || spawn();
+      start(worker, nextTask());
+    }
+  }
+
+  // Take the current file off a worker
+  function release(worker) {
+    const { task } = worker;
+    if (!task) return null;
+    worker.task = null;
+    active--;
+    clearTimeout(task.timer);
+    return task;
+  }
+
+  /**
+   * Whether `count` more files can be accepted right now – free workers
+   * plus free queue places.
+   *
+   * @param {number} [count=1]
+   * @returns {boolean}
+   */
+  function hasRoom(count = 1) {
+    return waiting + count <= maxQueue + Math.max(0, size - active);
+  }
+
+  /**
+   * Seconds after which a rejected client should try again, estimated from
+   * the queue length and recent processing times.
+   *
+   * @returns {number}
+   */
+  function retryAfter() {
+    const seconds = Math.ceil(((waiting / size) * averageMs) / 1000);
+    return Math.min(MAX_RETRY_AFTER_S, Math.max(MIN_RETRY_AFTER_S, seconds));
+  }
+
+  /**
+   * Optimise one file on a worker.
+   *
+   * @param {Object} payload               Arguments of optimiseFile
+   * @param {Object} payload.file          { path, originalname, filename }
+   * @param {string} payload.outDir
+   * @param {Object} payload.settings
+   * @param {string} payload.baseName
+   * @param {boolean} [payload.measure]
+   * @param {Object} [options]
+   * @param {string} [options.priority="normal"] "high", "normal" or "low"
+   * @param {Function} [options.onStart]   Called when a worker picks it up
+   * @returns {Promise<Object>} Result of optimiseFile
+   * @throws {Error} When the queue is full, on timeout or processing errors
+   */
+  function run(payload, { priority = 'normal', onStart = () => {} } = {}) {
+    if (!queues.has(priority)) {
+      return Promise.reject(new Error(`Unknown priority "${priority}"`));
+    }
+    if (!hasRoom()) {
+      return Promise.reject(new Error('Processing queue is full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      queues.get(priority).push({ payload, onStart, resolve, reject });
+      waiting++;
+      dispatch();
+    });
+  }
+
+  /**
+   * Current load (for monitoring).
+   *
+   * @returns {Object} { size, active, waiting, maxQueue }
+   */
+  function stats() {
+    return { size, active, waiting, maxQueue };
+  }
+
+  return { run, hasRoom, retryAfter, stats };
+}
+
+module.exports = {
+  createWorkerPool,
+};
@@ -0,0 +1,356 @@
+/**
+ * utils/presets.js
+ *
+ * Named compression presets, so a team gets identical output without
+ * remembering raw parameters.
+ *   • Built‑in presets (web, thumbnail, retina, archival) ship with the
+ *     service and cannot be changed,
+ *   • Custom presets are created through the API and persisted in a JSON file
+ *     (written atomically and watched, like the API key file),
+ *   • A preset holds compression settings fields (see utils/settings.js),
+ *     validated when it is saved; fields sent with an upload override it.
+ *
+ * File format:
+ *   {
+ *     "presets": [
+ *       { "name": "blog", "description": "Blog post images",
+ *         "settings": { "format": "webp", "quality": 70, "maxWidth": 1600 } }
+ *     ]
+ *   }
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { DEFAULT_SETTINGS, parseSettings } = require('./settings');
+
+const PRESET_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_DESCRIPTION = 200;
+const WATCH_INTERVAL_MS = 2000;
+
+const BUILT_IN_PRESETS = Object.freeze(
+  [
+    {
+      name: 'web',
+      description: 'WebP for web pages, at most 1920 px wide',
+      settings: { format: 'webp', quality: 75, maxWidth: 1920 },
+    },
+    {
+      name: 'thumbnail',
+      description: '320 × 320 WebP, cropped to fill',
+      settings: {
+        format: 'webp',
+        quality: 65,
+        maxWidth: 320,
+        maxHeight: 320,
+        fit: 'cover',
+      },
+    },
+    {
+      name: 'retina',
+      description: 'Up to 2560 px with 640–1920 px variants for srcset',
+      settings: {
+        format: 'webp',
+        quality: 80,
+        maxWidth: 2560,
+        widths: [640, 1280, 1920],
+      },
+    },
+    {
+      name: 'archival',
+      description: 'Original format at high quality, all metadata kept',
+      settings: {
+        format: 'keep',
+        quality: 92,
+        chromaSubsampling: '4:4:4',
+        pngQualityMin: 0.9,
+        pngQualityMax: 1,
+        metadata: 'keep-all',
+      },
+    },
+  ].map(preset => Object.freeze({ ...preset, builtIn: true }))
+);
+
+/**
+ * Validate the settings of a preset – only settings fields, each valid on
+ * its own and together.
+ */
+function readSettings(raw, where) {
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    throw new Error(`${where}: "settings" must be an object`);
+  }
+  for (const field of Object.keys(raw)) {
+    if (!(field in DEFAULT_SETTINGS)) {
+      throw new Error(`${where}: unknown setting "${field}"`);
+    }
+  }
+  try {
+    parseSettings(raw);
+  } catch (e) {
+    throw new Error(`${where}: ${e.message}`);
+  }
+  return raw;
+}
+
+/**
+ * Validate one custom preset.
+ */
+function readPreset(raw, where) {
+  if (typeof raw !== 'object' || raw === null) {
+    throw new Error(`${where}: must be an object`);
+  }
+  if (typeof raw.name !== 'string' || !PRESET_NAME.test(raw.name)) {
+    throw new Error(
+      `${where}: "name" must be 1–40 lowercase letters, digits, - or _`
+    );
+  }
+  const description = raw.description === undefined ? '' : raw.description;
+  if (typeof description !== 'string' || description.length > MAX_DESCRIPTION) {
+    throw new Error(
+      `${where}: "description" must be text of at most ${MAX_DESCRIPTION} characters`
+    );
+  }
+
+  return {
+    name: raw.name,
+    description,
+    settings: readSettings(raw.settings, where),
+    createdAt: raw.createdAt || null,
+  };
+}
+
+/**
+ * Validate the whole file.
+ *
+ * @param {Object} data Parsed JSON
+ * @returns {Array<Object>} Custom presets
+ * @throws {Error} On the first invalid entry
+ */
+function parsePresetFile(data) {
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    throw new Error('Preset file must contain an object');
+  }
+
+  const rawPresets = data.presets || [];
+  if (!Array.isArray(rawPresets)) throw new Error('"presets" must be an array');
+  const presets = rawPresets.map((p, i) => readPreset(p, `presets[${i}]`));
+
+  const names = new Set(BUILT_IN_PRESETS.map(p => p.name));
+  for (const preset of presets) {
+    if (names.has(preset.name)) {
+      throw new Error(`Duplicate preset name "${preset.name}"`);
+    }
+    names.add(preset.name);
+  }
+  return presets;
+}
+
+/**
+ * Public view of a preset.
+ */
+function describePreset(preset) {
+  return {
+    name: preset.name,
+    description: preset.description,
+    builtIn: Boolean(preset.builtIn),
+    settings: preset.settings,
+    createdAt: preset.createdAt || null,
+  };
+}
+
+/**
+ * Open the preset file. A missing file means built‑in presets only; it is
+ * created on the first custom preset.
+ *
+ * @param {string} file Path of the JSON file
+ * @returns {Promise<Object>} Preset store
+ * @throws {Error} When the file exists but is invalid
+ */
+async function createPresetStore(file) {
+  let custom = [];
+  let writing = Promise.resolve();
+
+  const load = async () => {
+    let text;
+    try {
+      text = await fsp.readFile(file, 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+    try {
+      return parsePresetFile(JSON.parse(text));
+    } catch (e) {
+      throw new Error(`Invalid preset file ${file}: ${e.message}`);
+    }
+  };
+
+  // Atomic write (temp file + rename)
+  const write = async data => {
+    const tmp = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    await fsp.writeFile(tmp, JSON.stringify(data, null, 2) + '\n');
+    await fsp.rename(tmp, file);
+  };
+
+  // Writes are serialised; a failed one does not block the next
+  const save = () => {
+    const data = { presets: custom };
+    writing = writing.catch(() => {}).then(() => write(data));
+    return writing;
+  };
+
+  custom = await load();
+
+  const findPreset = name =>
+    BUILT_IN_PRESETS.find(p => p.name === name) ||
+    custom.find(p => p.name === name);
+
+  const refuseBuiltIn = name => {
+    if (BUILT_IN_PRESETS.some(p => p.name === name)) {
+      throw new Error(`Built‑in preset "${name}" cannot be changed`);
+    }
+  };
+
+  /**
+   * @returns {Array<Object>} Built‑in presets, then custom ones
+   */
+  function list() {
+    return [...BUILT_IN_PRESETS, ...custom].map(describePreset);
+  }
+
+  /**
+   * @param {string} name Preset name
+   * @returns {Object|null} Public view of the preset, null when unknown
+   */
+  function get(name) {
+    const preset = findPreset(name);
+    return preset ? describePreset(preset) : null;
+  }
+
+  /**
+   * Settings fields of an upload request with its preset applied: the
+   * preset fills in what the request does not send.
+   *
+   * @param {Object} [body={}] Raw form fields, "preset" naming the preset
+   * @returns {Object} Fields to validate with parseSettings
+   * @throws {Error} When the preset does not exist
+   */
+  function apply(body = {}) {
+    const { preset: name, ...fields } = body;
+    if (name === undefined || name === '') return fields;
+
+    const preset = findPreset(name);
+    if (!preset) throw new Error(`Unknown preset "${name}"`);
+    const sent = Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== '')
+    );
+    return { ...preset.settings, ...sent };
+  }
+
+  /**
+   * Create a custom preset.
+   *
+   * @param {Object} fields { name, description?, settings }
+   * @returns {Promise<Object>} Public view of the preset
+   */
+  async function create(fields = {}) {
+    const record = readPreset(
+      {
+        name: fields.name,
+        description: fields.description,
+        settings: fields.settings,
+        createdAt: new Date().toISOString(),
+      },
+      'preset'
+    );
+    if (findPreset(record.name)) {
+      throw new Error(`Preset "${record.name}" already exists`);
+    }
+
+    custom = [...custom, record];
+    await save();
+    return describePreset(record);
+  }
+
+  /**
+   * Change the description or settings of a custom preset. New settings
+   * replace the previous ones as a whole.
+   *
+   * @param {string} name   Preset name
+   * @param {Object} fields { description?, settings? }
+   * @returns {Promise<Object|null>} Updated preset, null when unknown
+   */
+  async function update(name, fields = {}) {
+    refuseBuiltIn(name);
+    const current = custom.find(p => p.name === name);
+    if (!current) return null;
+
+    const pick = field =>
+      fields[field] !== undefined ? fields[field] : current[field];
+    const record = readPreset(
+      {
+        ...current,
+        description: pick('description'),
+        settings: pick('settings'),
+      },
+      'preset'
+    );
+
+    custom = custom.map(p => (p.name === name ? record : p));
+    await save();
+    return describePreset(record);
+  }
+
+  /**
+   * Delete a custom preset.
+   *
+   * @param {string} name Preset name
+   * @returns {Promise<boolean>} false when the preset does not exist
+   */
+  async function remove(name) {
+    refuseBuiltIn(name);
+    if (!custom.some(p => p.name === name)) return false;
+    custom = custom.filter(p => p.name !== name);
+    await save();
+    return true;
+  }
+
+  /**
+   * Reload the file when it changes on disk. An invalid edit is reported
+   * through onError and the previous presets stay in effect.
+   *
+   * @param {Function} onReload Called after a successful reload
+   * @param {Function} onError  Called with the error of a failed reload
+   * @returns {Function} Stops watching
+   */
+  function watch(onReload, onError) {
+    const listener = async (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        custom = await load();
+        onReload();
+      } catch (e) {
+        onError(e);
+      }
+    };
+    fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, listener);
+    return () => fs.unwatchFile(file, listener);
+  }
+
+  return {
+    list,
+    get,
+    apply,
+    create,
+    update,
+    remove,
+    watch,
+  };
+}
+
+module.exports = {
+  BUILT_IN_PRESETS,
+  createPresetStore,
+};
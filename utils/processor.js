@@ -3,11 +3,23 @@
  *
  * Core image‑processing logic.
  *   • Reads uploaded files,
+ *   • Converts between formats and resizes with sharp when requested,
  *   • Optimises JPEG (mozjpeg) or PNG (pngquant) using imagemin,
- *   • Writes the optimized version to the output folder,
+ *   • Encodes WebP / AVIF / GIF output with sharp – animations stay
+ *     animated in GIF and WebP,
+ *   • Sanitises and minifies SVG (utils/svg.js),
+ *   • Applies the EXIF orientation and the metadata policy,
+ *   • Measures the perceptual quality of the output (SSIM / PSNR) and can
+ *     pick the lowest quality that keeps a minimum SSIM,
+ *   • Writes the optimized version (and any responsive variants) to the
+ *     output folder,
  *   • Returns useful metadata for the caller.
  *
- * Concurrency is limited via p‑limit (default 6 workers).
+ * Results can be reused across batches through a content‑addressed cache
+ * (utils/cache.js).
+ *
+ * Concurrency is limited via p‑limit (default 6 workers), or by a shared
+ * worker‑thread pool (utils/pool.js) when one is given.
  */
 
 const path = require('path');
@@ -16,74 +28,765 @@ const pLimit = require('p-limit').default;
 const imagemin = require('imagemin').default;
 const imageminMozjpeg = require('imagemin-mozjpeg').default;
 const imageminPngquant = require('imagemin-pngquant').default;
+const sharp = require('sharp');
 const archiver = require('archiver');
 const crypto = require('crypto');
+const { FORMATS, formatFromName } = require('./formats');
+const {
+  inspectMetadata,
+  needsOrientation,
+  needsSharpEncoder,
+  applyMetadata,
+  metadataReport,
+  stripMetadata,
+} = require('./metadata');
+const {
+  DEFAULT_SETTINGS,
+  CHROMA_SUBSAMPLING,
+  resizeOptions,
+  settingsFor,
+} = require('./settings');
+const { IDENTICAL, createReference, measureQuality } = require('./quality');
+const { optimiseSvg } = require('./svg');
+
+// Output formats that keep every frame of an animated source; the others get
+// the first frame
+const ANIMATED_FORMATS = ['gif', 'webp'];
 
 /**
- * Optimise a single image file.
+ * imagemin plugins for the final optimisation pass of a given format.
+ * WebP, AVIF and GIF are fully encoded by sharp, so they get no extra pass.
  *
- * @param {Object} file   Multer file object – { path, originalname }
- * @param {string} outDir Destination directory for the optimized file
- * @returns {Promise<Object>} Metadata about the optimisation
+ * @param {string} format   Output format key
+ * @param {Object} settings Normalised compression settings
+ * @returns {Array<Function>} imagemin plugins
  */
-async function optimiseFile(file, outDir) {
+function pluginsFor(format, settings) {
+  if (format === 'png') {
+    return [
+      imageminPngquant({
+        quality: [settings.pngQualityMin, settings.pngQualityMax],
+        // Only metadata‑free output goes through imagemin (see render)
+        strip: true,
+      }),
+    ];
+  }
+  if (format === 'jpeg') {
+    return [
+      imageminMozjpeg({
+        quality: settings.quality,
+        progressive: settings.progressive,
+        sample: CHROMA_SUBSAMPLING[settings.chromaSubsampling],
+      }),
+    ];
+  }
+  return [];
+}
+
+/**
+ * Read an uploaded image once and describe it for every rendition.
+ *
+ * @param {Object} file Multer file object – { path, originalname }
+ * @returns {Promise<Object>} { buffer, format, meta, width }
+ */
+async function loadSource(file) {
+  const format = formatFromName(file.originalname);
+  if (!format) {
+    throw new Error('Unsupported file type');
+  }
+
   const buffer = await fs.readFile(file.path);
-  const ext = path.extname(file.originalname).toLowerCase();
-  const plugins = [];
+  const meta = await inspectMetadata(buffer);
+  const { width, height } = await sharp(buffer).metadata();
 
-  if (ext === '.png') {
-    plugins.push(imageminPngquant({ quality: [0.6, 0.8] }));
-  } else if (ext === '.jpg' || ext === '.jpeg') {
-    plugins.push(
-      imageminMozjpeg({
-        quality: 75,
-        // progressive: true,
-        // chromaSubsampling: '4:2:0',
-      })
+  // Orientations 5–8 swap the axes once the pixels are rotated
+  const swapped = meta.orientation >= 5;
+  return { buffer, format, meta, width: swapped ? height : width };
+}
+
+/**
+ * Re‑encode an image with sharp, applying orientation, the metadata policy
+ * and an optional resize on the way.
+ *
+ * WebP, AVIF and GIF are always encoded at their final quality. For JPEG
+ * and PNG, `final` selects sharp's own mozjpeg / libimagequant encoders;
+ * otherwise a (near) lossless intermediate is produced so the imagemin pass
+ * is the only lossy step.
+ *
+ * @param {Object} source        Result of loadSource
+ * @param {string} format        Output format key
+ * @param {Object} settings      Normalised compression settings
+ * @param {Object|null} resize   Options for sharp().resize(), if any
+ * @param {boolean} final        Encode JPEG/PNG at their final quality
+ * @returns {Promise<Buffer>} Encoded image
+ */
+async function encode(source, format, settings, resize, final) {
+  const image = applyMetadata(
+    sharp(source.buffer, { animated: ANIMATED_FORMATS.includes(format) }),
+    source.meta,
+    settings
+  );
+  if (resize) image.resize(resize);
+
+  switch (format) {
+    case 'jpeg':
+      // JPEG has no alpha channel – composite transparent areas onto white
+      image.flatten({ background: '#ffffff' });
+      return final
+        ? image
+            .jpeg({
+              mozjpeg: true,
+              quality: settings.quality,
+              progressive: settings.progressive,
+              chromaSubsampling: settings.chromaSubsampling,
+            })
+            .toBuffer()
+        : image.jpeg({ quality: 100, chromaSubsampling: '4:4:4' }).toBuffer();
+    case 'png':
+      return final
+        ? image
+            .png({
+              palette: true,
+              quality: Math.round(settings.pngQualityMax * 100),
+            })
+            .toBuffer()
+        : image.png().toBuffer();
+    case 'webp':
+      return image.webp({ quality: settings.quality }).toBuffer();
+    case 'avif':
+      return image.avif({ quality: settings.quality }).toBuffer();
+    case 'gif':
+      return image
+        .gif({
+          // The source palette is reused unless a smaller one is asked for
+          reuse: settings.gifColours === 256,
+          colours: settings.gifColours,
+          dither: settings.gifDither,
+          // Lossy: pixels this close to the previous frame are not redrawn
+          interFrameMaxError: settings.gifLossy,
+          effort: 10,
+        })
+        .toBuffer();
+    default:
+      throw new Error(`Unsupported output format: ${format}`);
+  }
+}
+
+/**
+ * Produce one optimised rendition of a source image.
+ *
+ * sharp is skipped entirely when neither the format, the dimensions, the
+ * orientation nor the metadata change, so plain JPEG/PNG recompression goes
+ * straight to imagemin. Output that must keep metadata is encoded by sharp
+ * alone, since the imagemin binaries drop it.
+ *
+ * @param {Object} source        Result of loadSource
+ * @param {string} format        Output format key
+ * @param {Object} settings      Normalised compression settings
+ * @param {Object|null} resize   Options for sharp().resize(), if any
+ * @returns {Promise<Object>} { buffer, width, height }
+ */
+async function render(source, format, settings, resize) {
+  const sharpOnly =
+    format === 'webp' ||
+    format === 'avif' ||
+    format === 'gif' ||
+    needsSharpEncoder(source.meta, settings);
+  const needsEncode =
+    sharpOnly ||
+    resize ||
+    format !== source.format ||
+    needsOrientation(source.meta, settings);
+
+  const input = needsEncode
+    ? await encode(source, format, settings, resize, sharpOnly)
+    : source.buffer;
+  const plugins = sharpOnly ? [] : pluginsFor(format, settings);
+  const output = plugins.length
+    ? await imagemin.buffer(input, { plugins })
+    : input;
+
+  const { width, height } = await sharp(output).metadata();
+  return { buffer: output, width, height };
+}
+
+/**
+ * Render at one point of the quality scale (1–100; for PNG the pngquant
+ * maximum quality, for GIF the palette size).
+ *
+ * @param {Object} source        Result of loadSource
+ * @param {string} format        Output format key
+ * @param {Object} settings      Normalised compression settings
+ * @param {Object|null} resize   Options for sharp().resize(), if any
+ * @param {number} quality
+ * @returns {Promise<Object>} { buffer, width, height, settings, quality }
+ */
+async function renderAtQuality(source, format, settings, resize, quality) {
+  let tuned;
+  if (format === 'png') {
+    tuned = { ...settings, pngQualityMin: 0, pngQualityMax: quality / 100 };
+  } else if (format === 'gif') {
+    tuned = {
+      ...settings,
+      gifColours: Math.max(2, Math.round(quality * 2.56)),
+    };
+  } else {
+    tuned = { ...settings, quality };
+  }
+  const result = await render(source, format, tuned, resize);
+  return { ...result, settings: tuned, quality };
+}
+
+/**
+ * Render at the highest quality whose output fits settings.targetSize.
+ *
+ * Binary‑searches the quality scale. When even the lowest quality is over
+ * budget, the smallest result is returned with `met: false`.
+ *
+ * @param {Object} source        Result of loadSource
+ * @param {string} format        Output format key
+ * @param {Object} settings      Normalised compression settings
+ * @param {Object|null} resize   Options for sharp().resize(), if any
+ * @returns {Promise<Object>} { buffer, width, height, settings, quality, met }
+ */
+async function renderToTarget(source, format, settings, resize) {
+  let lo = 1;
+  let hi = 100;
+  let best = null;
+  let smallest = null;
+
+  while (lo <= hi) {
+    const quality = Math.floor((lo + hi) / 2);
+    const result = await renderAtQuality(
+      source,
+      format,
+      settings,
+      resize,
+      quality
+    );
+
+    if (!smallest || result.buffer.length < smallest.buffer.length) {
+      smallest = result;
+    }
+    if (result.buffer.length <= settings.targetSize) {
+      best = result;
+      lo = quality + 1;
+    } else {
+      hi = quality - 1;
+    }
+  }
+
+  return { ...(best || smallest), met: Boolean(best) };
+}
+
+/**
+ * Render at the lowest quality whose output still reaches settings.minSsim.
+ *
+ * Binary‑searches the quality scale like renderToTarget. When even the
+ * highest quality falls short, that result is returned with `met: false`.
+ *
+ * @param {Object} source        Result of loadSource
+ * @param {string} format        Output format key
+ * @param {Object} settings      Normalised compression settings
+ * @param {Object|null} resize   Options for sharp().resize(), if any
+ * @returns {Promise<Object>} { buffer, width, height, settings, quality,
+ *   metrics, met }
+ */
+async function renderToSsim(source, format, settings, resize) {
+  // Every quality gives the same dimensions – the first output sizes the
+  // reference
+  let reference = null;
+  let lo = 1;
+  let hi = 100;
+  let best = null;
+  let highest = null;
+
+  while (lo <= hi) {
+    const quality = Math.floor((lo + hi) / 2);
+    const result = await renderAtQuality(
+      source,
+      format,
+      settings,
+      resize,
+      quality
     );
+    reference =
+      reference || (await referenceFor(source, settings, resize, result));
+    result.metrics = await measureQuality(reference, result.buffer);
+
+    if (!highest || quality > highest.quality) highest = result;
+    if (result.metrics.ssim >= settings.minSsim) {
+      best = result;
+      hi = quality - 1;
+    } else {
+      lo = quality + 1;
+    }
+  }
+
+  return { ...(best || highest), met: Boolean(best) };
+}
+
+/**
+ * The source as an output shows it (orientation, metadata policy and
+ * resize applied), to measure outputs against.
+ *
+ * @param {Object} source        Result of loadSource
+ * @param {Object} settings      Normalised compression settings
+ * @param {Object|null} resize   Options for sharp().resize(), if any
+ * @param {Object} output        { width, height } of the outputs
+ * @returns {Promise<Object>} Reference (utils/quality.js)
+ */
+function referenceFor(source, settings, resize, output) {
+  const image = applyMetadata(sharp(source.buffer), source.meta, settings);
+  // Cropped or letterboxed outputs map onto the source the same way at the
+  // comparison size; the other fit modes only scale it
+  const fit =
+    resize && ['cover', 'contain'].includes(resize.fit) ? resize.fit : 'fill';
+  return createReference(image, output, fit);
+}
+
+/**
+ * Extension of an output. The same format keeps the original spelling
+ * (.jpeg stays .jpeg).
+ *
+ * @param {string} originalname Name of the uploaded file
+ * @param {string} sourceFormat Its format key
+ * @param {string} format       Output format key
+ * @returns {string} Lowercase extension, with the dot
+ */
+function outputExtension(originalname, sourceFormat, format) {
+  return format === sourceFormat
+    ? path.extname(originalname).toLowerCase()
+    : FORMATS[format].ext;
+}
+
+/**
+ * Widths of the responsive variants to generate. Without upscaling, widths
+ * larger than the source collapse into a single full‑width variant.
+ *
+ * @param {Object} source   Result of loadSource
+ * @param {Object} settings Normalised compression settings
+ * @returns {Array<number>} Unique widths, ascending
+ */
+function variantWidths(source, settings) {
+  if (settings.widths.length === 0) return [];
+  if (!settings.noUpscale) return settings.widths;
+
+  const widths = settings.widths.map(w => Math.min(w, source.width));
+  return [...new Set(widths)];
+}
+
+/**
+ * Sanitise and minify an SVG file. SVG stays SVG – format, quality, resize
+ * and variants do not apply – and the cleaned file is always the output, even
+ * when it is not smaller.
+ *
+ * @param {Object} file     Multer file object – { path, originalname }
+ * @param {string} outDir   Destination directory for the optimized file
+ * @param {string} baseName Output base name
+ * @returns {Promise<Object>} Metadata about the optimisation
+ */
+async function optimiseSvgFile(file, outDir, baseName) {
+  const buffer = await fs.readFile(file.path);
+  const svg = optimiseSvg(buffer);
+  const optimizedPath = path.join(outDir, `${baseName}-opt.svg`);
+  await fs.writeFile(optimizedPath, svg.data);
+
+  return {
+    filename: file.filename,
+    originalName: file.originalname,
+    optimizedPath,
+    format: 'svg',
+    extension: FORMATS.svg.ext,
+    mimeType: FORMATS.svg.mime,
+    width: svg.width,
+    height: svg.height,
+    sizeBefore: buffer.length,
+    sizeAfter: svg.data.length,
+    skipped: null,
+    targetSize: null,
+    minSsim: null,
+    metrics: null,
+    sanitised: svg.removed,
+    variants: [],
+    // svgo drops <metadata> and editor data; there is no EXIF to report
+    metadata: metadataReport({ gps: false, copyright: null }, DEFAULT_SETTINGS),
+    settings: settingsFor(DEFAULT_SETTINGS, 'svg'),
+  };
+}
+
+/**
+ * Optimise a single image file, converting and resizing it when requested
+ * and generating responsive variants for every width in settings.widths.
+ *
+ * @param {Object} file       Multer file object – { path, originalname }
+ * @param {string} outDir     Destination directory for the optimized file
+ * @param {Object} settings   Normalised compression settings (utils/settings.js)
+ * @param {string} [baseName] Output base name, defaults to the original's
+ * @param {Object} [options]
+ * @param {boolean} [options.measure=true] Measure SSIM / PSNR of the output
+ *   (always done with settings.minSsim); metrics are null otherwise
+ * @returns {Promise<Object>} Metadata about the optimisation
+ */
+async function optimiseFile(
+  file,
+  outDir,
+  settings = DEFAULT_SETTINGS,
+  baseName = path.basename(file.originalname, path.extname(file.originalname)),
+  { measure = true } = {}
+) {
+  if (formatFromName(file.originalname) === 'svg') {
+    return optimiseSvgFile(file, outDir, baseName);
+  }
+
+  const source = await loadSource(file);
+  const { buffer, format: sourceFormat } = source;
+
+  const format = settings.format === 'keep' ? sourceFormat : settings.format;
+  const outExt = outputExtension(file.originalname, sourceFormat, format);
+
+  const resize = resizeOptions(settings);
+  let main;
+  if (settings.targetSize) {
+    main = await renderToTarget(source, format, settings, resize);
+  } else if (settings.minSsim) {
+    main = await renderToSsim(source, format, settings, resize);
   } else {
-    throw new Error('Unsupported file type');
+    main = await render(source, format, settings, resize);
   }
+  const applied = main.settings || settings;
+  let metadata = metadataReport(source.meta, settings);
 
-  const optimizedBuffer = await imagemin.buffer(buffer, { plugins });
+  // Never ship a bigger file than we were given when the original could be
+  // served instead (same format, dimensions and orientation) – with the
+  // metadata the policy drops removed losslessly, its ICC profile aside
+  let skipped = null;
+  let output = main.buffer;
+  if (format === sourceFormat && !resize && !metadata.oriented) {
+    const original = metadata.removed.length
+      ? stripMetadata(buffer, format, source.meta, settings)
+      : buffer;
+    if (original && output.length >= original.length) {
+      output = original;
+      skipped =
+        original === buffer
+          ? 'already optimal'
+          : 'already optimal, metadata removed';
+      // A stripped original still has its colour profile
+      if (original !== buffer && metadata.removed.includes('icc')) {
+        metadata = {
+          ...metadata,
+          kept: [...metadata.kept, 'icc'],
+          removed: metadata.removed.filter(block => block !== 'icc'),
+        };
+      }
+    }
+  }
+  let metrics = null;
+  if (output !== main.buffer) {
+    metrics = IDENTICAL;
+  } else if (main.metrics) {
+    metrics = main.metrics;
+  } else if (measure) {
+    const reference = await referenceFor(source, settings, resize, main);
+    metrics = await measureQuality(reference, output);
+  }
 
-  const optimizedName = `${path.basename(file.originalname, ext)}-opt${ext}`;
-  const optimizedPath = path.join(outDir, optimizedName);
-  await fs.writeFile(optimizedPath, optimizedBuffer);
+  const optimizedPath = path.join(outDir, `${baseName}-opt${outExt}`);
+  await fs.writeFile(optimizedPath, output);
+
+  const variants = [];
+  // Variants are encoded like the main output, at the quality it was tuned to
+  for (const width of variantWidths(source, settings)) {
+    const variant = await render(source, format, applied, {
+      width,
+      withoutEnlargement: settings.noUpscale,
+    });
+    const variantPath = path.join(outDir, `${baseName}-opt-${width}w${outExt}`);
+    await fs.writeFile(variantPath, variant.buffer);
+    variants.push({
+      optimizedPath: variantPath,
+      width: variant.width,
+      height: variant.height,
+      sizeAfter: variant.buffer.length,
+    });
+  }
 
   return {
     filename: file.filename,
     originalName: file.originalname,
     optimizedPath,
+    format,
+    extension: outExt,
+    mimeType: FORMATS[format].mime,
+    width: main.width,
+    height: main.height,
     sizeBefore: buffer.length,
-    sizeAfter: optimizedBuffer.length,
+    sizeAfter: output.length,
+    skipped,
+    targetSize: settings.targetSize
+      ? { bytes: settings.targetSize, met: main.met, quality: main.quality }
+      : null,
+    minSsim: settings.minSsim
+      ? {
+          threshold: settings.minSsim,
+          // The original kept as‑is meets any threshold
+          met: metrics.ssim >= settings.minSsim,
+          quality: main.quality,
+        }
+      : null,
+    metrics,
+    sanitised: null,
+    variants,
+    metadata,
+    settings: settingsFor(applied, format),
   };
 }
 
+/**
+ * Optimise a file through the result cache: a cached result for the same
+ * bytes and settings is copied into place, anything else is optimised and
+ * then stored. The result carries `cache: "hit" | "miss"`.
+ *
+ * @param {Object} file     Multer file object – { path, originalname }
+ * @param {string} outDir   Destination directory for the optimized file
+ * @param {Object} settings Normalised compression settings
+ * @param {string} baseName Output base name
+ * @param {Object} cache    Result cache (utils/cache.js)
+ * @param {Function} [optimise=optimiseFile] Runs a cache miss
+ * @returns {Promise<Object>} Metadata about the optimisation
+ */
+async function optimiseCached(
+  file,
+  outDir,
+  settings,
+  baseName,
+  cache,
+  optimise = optimiseFile
+) {
+  const key = await cache.keyFor(file, settings);
+  const cached = await cache.restore(key, outDir, baseName);
+  if (cached) {
+    return {
+      filename: file.filename,
+      originalName: file.originalname,
+      ...cached,
+      cache: 'hit',
+    };
+  }
+
+  const result = await optimise(file, outDir, settings, baseName);
+  await cache.store(key, result, baseName);
+  return { ...result, cache: 'miss' };
+}
+
+/**
+ * Extension and variant widths of the files optimiseFile will write for an
+ * upload – the widths collapsed as in variantWidths. Only the image header
+ * is read; when it cannot be, every requested width is assumed.
+ *
+ * @param {Object} file     Multer file object – { path, originalname }
+ * @param {Object} settings Normalised compression settings
+ * @returns {Promise<Object>} { ext, widths }
+ */
+async function outputShape(file, settings) {
+  const sourceFormat = formatFromName(file.originalname);
+  if (!sourceFormat || sourceFormat === 'svg') {
+    return { ext: path.extname(file.originalname).toLowerCase(), widths: [] };
+  }
+
+  const format = settings.format === 'keep' ? sourceFormat : settings.format;
+  const ext = outputExtension(file.originalname, sourceFormat, format);
+  try {
+    const { width, height, orientation } = await sharp(file.path).metadata();
+    // Orientations 5–8 swap the axes, as in loadSource
+    const source = { width: orientation >= 5 ? height : width };
+    return { ext, widths: variantWidths(source, settings) };
+  } catch {
+    return { ext, widths: settings.widths };
+  }
+}
+
+/**
+ * Output base names for a batch, suffixed (-2, -3, …) where two files would
+ * otherwise write the same file, so their outputs do not overwrite each
+ * other. The final file names are compared – extension and variant widths
+ * included – so "x.png" and "x.jpg" keep their names unless both become
+ * WebP, and "x.jpg", "x.jpg", "x-2.jpg" become x, x-2 and x-2-2.
+ *
+ * @param {Array<Object>} files Multer file objects
+ * @param {Object} [settings]   Normalised compression settings
+ * @returns {Promise<Array<string>>} One base name per file
+ */
+async function uniqueBaseNames(files, settings = DEFAULT_SETTINGS) {
+  const shapes = await Promise.all(files.map(f => outputShape(f, settings)));
+
+  // Compared case‑insensitively
+  const used = new Set();
+  const outputNames = (base, { ext, widths }) =>
+    [`${base}-opt${ext}`, ...widths.map(w => `${base}-opt-${w}w${ext}`)].map(
+      name => name.toLowerCase()
+    );
+
+  return files.map((f, index) => {
+    const base = path.basename(f.originalname, path.extname(f.originalname));
+    const shape = shapes[index];
+    let candidate = base;
+    let count = 1;
+    while (outputNames(candidate, shape).some(name => used.has(name))) {
+      count++;
+      candidate = `${base}-${count}`;
+    }
+    outputNames(candidate, shape).forEach(n => used.add(n));
+    return candidate;
+  });
+}
+
 /**
  * Process an array of Multer files with a concurrency limit.
  *
+ * Every file runs to completion even if another one fails. By default the
+ * first failure is then re‑thrown; with `partial` the failed entries are
+ * returned as `{ filename, originalName, error }` instead.
+ *
  * @param {Array<Object>} files   Multer file objects
  * @param {Object} options
  * @param {string} options.outDir Destination folder
  * @param {number} [options.concurrency=6] Max parallel jobs
+ * @param {Object} [options.settings] Compression settings for every file
+ * @param {boolean} [options.partial=false] Return failures instead of throwing
+ * @param {Object} [options.cache] Result cache (utils/cache.js), if any
+ * @param {Object} [options.pool] Worker pool (utils/pool.js) to process the
+ *   files on, instead of this thread; `concurrency` is then ignored
+ * @param {string} [options.priority="normal"] Queue priority in the pool
+ * @param {Array<string>} [options.baseNames] Output base names, one per file
+ *   (derived from the original names by default)
+ * @param {boolean} [options.measure=true] Measure SSIM / PSNR (see
+ *   optimiseFile); results without them bypass the cache
+ * @param {Function} [options.onProgress] Called as (index, status, data) with
+ *   status "processing", "done" (data = metadata) or "failed" (data = error)
  * @returns {Promise<Array<Object>>} Array of file‑metadata objects
  */
-async function processFiles(files, { outDir, concurrency = 6 }) {
-  const limit = pLimit(concurrency);
-  const jobs = files.map(f => limit(() => optimiseFile(f, outDir)));
-  return Promise.all(jobs);
+async function processFiles(
+  files,
+  {
+    outDir,
+    concurrency = 6,
+    settings = DEFAULT_SETTINGS,
+    partial = false,
+    cache = null,
+    pool = null,
+    priority = 'normal',
+    baseNames = null,
+    measure = true,
+    onProgress = () => {},
+  }
+) {
+  const names = baseNames || (await uniqueBaseNames(files, settings));
+  // The pool has its own, process‑wide limit
+  const limit = pool ? task => task() : pLimit(concurrency);
+  const jobs = files.map((f, index) => {
+    // "processing" is reported once, before "done" or "failed" – with a pool,
+    // when a worker picks the file up
+    let started = false;
+    const start = () => {
+      if (!started) onProgress(index, 'processing');
+      started = true;
+    };
+    const optimise = pool
+      ? (file, dir, fileSettings, baseName) =>
+          pool.run(
+            {
+              file: {
+                path: file.path,
+                originalname: file.originalname,
+                filename: file.filename,
+              },
+              outDir: dir,
+              settings: fileSettings,
+              baseName,
+              measure,
+            },
+            { priority, onStart: start }
+          )
+      : (file, dir, fileSettings, baseName) =>
+          optimiseFile(file, dir, fileSettings, baseName, { measure });
+
+    return limit(async () => {
+      if (!pool) start();
+      try {
+        const result =
+          cache && measure
+            ? await optimiseCached(
+                f,
+                outDir,
+                settings,
+                names[index],
+                cache,
+                optimise
+              )
+            : await optimise(f, outDir, settings, names[index]);
+        start();
+        onProgress(index, 'done', result);
+        return result;
+      } catch (err) {
+        start();
+        onProgress(index, 'failed', err);
+        throw err;
+      }
+    });
+  });
+
+  const outcomes = await Promise.allSettled(jobs);
+  const firstFailure = outcomes.find(o => o.status === 'rejected');
+  if (firstFailure && !partial) throw firstFailure.reason;
+
+  return outcomes.map((o, index) =>
+    o.status === 'fulfilled'
+      ? o.value
+      : {
+          filename: files[index].filename,
+          originalName: files[index].originalname,
+          error: o.reason.message,
+        }
+  );
+}
+
+/**
+ * Run a 1×1 image through the imagemin plugin of every format that has one,
+ * failing when an encoder binary is missing or cannot be executed.
+ *
+ * @returns {Promise<void>}
+ * @throws {Error} Naming the encoder that failed
+ */
+async function checkEncoders() {
+  const pixel = sharp({
+    create: { width: 1, height: 1, channels: 3, background: '#ffffff' },
+  });
+  const encoders = { jpeg: 'mozjpeg', png: 'pngquant' };
+  for (const [format, name] of Object.entries(encoders)) {
+    const input = await pixel.clone().toFormat(format).toBuffer();
+    try {
+      await imagemin.buffer(input, {
+        plugins: pluginsFor(format, DEFAULT_SETTINGS),
+      });
+    } catch (e) {
+      throw new Error(`${name} unavailable: ${e.message.split('\n')[0]}`);
+    }
+  }
 }
 
 /**
  * Create a ZIP archive containing a list of file paths.
  *
  * @param {Array<string>} filePaths Full paths to the files to zip
- * @returns {Promise<string>} Name of the generated ZIP (saved in the optimized folder)
+ * @param {string} outDir          Folder the ZIP is written to
+ * @param {Array<Object>} [extras=[]] In‑memory files to add – { name, data }
+ * @returns {Promise<string>} Name of the generated ZIP
  */
-async function createZip(filePaths) {
+async function createZip(filePaths, outDir, extras = []) {
   const zipName = `bundle-${crypto.randomBytes(8).toString('hex')}.zip`;
-  const zipPath = path.join(__dirname, '..', 'optimized', zipName);
+  const zipPath = path.join(outDir, zipName);
 
   const output = await fs.open(zipPath, 'w');
   const archive = archiver('zip', { zlib: { level: 9 } });
@@ -99,11 +802,14 @@ async function createZip(filePaths) {
       const nameInZip = path.basename(fp);
       archive.file(fp, { name: nameInZip });
     });
+    extras.forEach(({ name, data }) => archive.append(data, { name }));
     archive.finalize();
   });
 }
 
 module.exports = {
+  optimiseFile,
   processFiles,
+  checkEncoders,
   createZip,
 };
\ No newline at end of file
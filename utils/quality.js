@@ -0,0 +1,151 @@
+/**
+ * utils/quality.js
+ *
+ * Perceptual quality of a compressed image, measured against its source.
+ *   • SSIM (structural similarity, 8×8 windows every 4 px) and PSNR, both on
+ *     the luma channel – the one the eye is most sensitive to,
+ *   • The source is taken as the output shows it (orientation and resize
+ *     applied, transparency flattened onto white), so only the compression
+ *     losses count,
+ *   • Large images are compared downscaled to MAX_COMPARE_PIXELS – the
+ *     reference is decoded straight to that size, never at full resolution.
+ */
+
+const sharp = require('sharp');
+
+const WINDOW = 8;
+const STEP = 4;
+const MAX_COMPARE_PIXELS = 4 * 1000 * 1000;
+// PSNR of identical images is infinite – reported as this many dB
+const MAX_PSNR = 100;
+// Metrics of an output that is the source itself
+const IDENTICAL = Object.freeze({ ssim: 1, psnr: MAX_PSNR });
+
+// SSIM stabilising constants for 8‑bit samples
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Size two images are compared at: the image's own, or smaller so it holds
+ * at most MAX_COMPARE_PIXELS.
+ */
+function compareSize(width, height) {
+  const scale = Math.min(1, Math.sqrt(MAX_COMPARE_PIXELS / (width * height)));
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+/**
+ * Luma pixels of an image at the given size.
+ *
+ * @param {sharp.Sharp} image
+ * @param {Object} size        { width, height }
+ * @param {string} [fit=fill]  sharp resize fit mode
+ * @returns {Promise<Buffer>} One byte per pixel
+ */
+function lumaPixels(image, { width, height }, fit = 'fill') {
+  return image
+    .flatten({ background: '#ffffff' })
+    .resize(width, height, { fit })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Mean SSIM of two luma images of the same size.
+ */
+function ssim(a, b, width, height) {
+  // Images smaller than a window are compared as a single window
+  const window = Math.min(WINDOW, width, height);
+  const n = window * window;
+  let total = 0;
+  let count = 0;
+
+  for (let y = 0; y + window <= height; y += STEP) {
+    for (let x = 0; x + window <= width; x += STEP) {
+      let sumA = 0;
+      let sumB = 0;
+      let sumAA = 0;
+      let sumBB = 0;
+      let sumAB = 0;
+      for (let row = y; row < y + window; row++) {
+        for (let i = row * width + x, end = i + window; i < end; i++) {
+          const va = a[i];
+          const vb = b[i];
+          sumA += va;
+          sumB += vb;
+          sumAA += va * va;
+          sumBB += vb * vb;
+          sumAB += va * vb;
+        }
+      }
+
+      const meanA = sumA / n;
+      const meanB = sumB / n;
+      const varA = sumAA / n - meanA * meanA;
+      const varB = sumBB / n - meanB * meanB;
+      const cov = sumAB / n - meanA * meanB;
+      total +=
+        ((2 * meanA * meanB + C1) * (2 * cov + C2)) /
+        ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+      count++;
+    }
+  }
+  return total / count;
+}
+
+/**
+ * PSNR in dB of two luma images of the same size.
+ */
+function psnr(a, b) {
+  let squared = 0;
+  for (let i = 0; i < a.length; i++) {
+    const diff = a[i] - b[i];
+    squared += diff * diff;
+  }
+  if (squared === 0) return MAX_PSNR;
+  return Math.min(MAX_PSNR, 10 * Math.log10((255 * 255 * a.length) / squared));
+}
+
+/**
+ * Prepare the reference that outputs of one source are measured against.
+ * The source is resized to the comparison size in the same pipeline, so a
+ * large image is never held in memory at full resolution.
+ *
+ * @param {sharp.Sharp} image  Source with the output's orientation applied
+ * @param {Object} output      { width, height } of the outputs
+ * @param {string} [fit=fill]  "cover" or "contain" when the outputs are
+ *   cropped or letterboxed to their size
+ * @returns {Promise<Object>} { width, height, pixels } – comparison size and
+ *   luma pixels
+ */
+async function createReference(image, output, fit = 'fill') {
+  const size = compareSize(output.width, output.height);
+  return { ...size, pixels: await lumaPixels(image, size, fit) };
+}
+
+/**
+ * Measure an encoded output against its reference.
+ *
+ * @param {Object} reference Result of createReference
+ * @param {Buffer} buffer    Encoded output image
+ * @returns {Promise<Object>} { ssim, psnr } – SSIM from 0 to 1 (identical),
+ *   rounded to 4 decimals; PSNR in dB, rounded to 2 decimals, at most 100
+ */
+async function measureQuality(reference, buffer) {
+  const pixels = await lumaPixels(sharp(buffer), reference);
+  const { width, height } = reference;
+  return {
+    ssim: Number(ssim(reference.pixels, pixels, width, height).toFixed(4)),
+    psnr: Number(psnr(reference.pixels, pixels).toFixed(2)),
+  };
+}
+
+module.exports = {
+  IDENTICAL,
+  createReference,
+  measureQuality,
+};
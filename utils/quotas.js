@@ -0,0 +1,161 @@
+/**
+ * utils/quotas.js
+ *
+ * In‑memory usage tracking for API clients.
+ *   requestsPerMinute – requests in a sliding 60 s window,
+ *   bytesPerDay       – uploaded bytes per UTC day,
+ *   concurrentJobs    – uploads being processed at the same time.
+ *
+ * A client is { id, quotas } (see utils/apiKeys.js); a null quota means no
+ * limit and a null client is never limited. Checks return 0 when allowed,
+ * otherwise the number of seconds after which the client may retry.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Nothing tells when a running job will end – suggest a short wait
+const JOB_RETRY_AFTER_S = 5;
+
+// client id → { requests: [timestamps], day, bytes, active }
+const usage = new Map();
+
+function usageFor(id) {
+  let entry = usage.get(id);
+  if (!entry) {
+    entry = { requests: [], day: null, bytes: 0, active: 0 };
+    usage.set(id, entry);
+  }
+  return entry;
+}
+
+/**
+ * UTC day number, resetting the byte counter when it changes.
+ */
+function currentDay(entry, now) {
+  const day = Math.floor(now / DAY_MS);
+  if (entry.day !== day) {
+    entry.day = day;
+    entry.bytes = 0;
+  }
+  return day;
+}
+
+/**
+ * Count a request against requestsPerMinute.
+ *
+ * @param {Object|null} client
+ * @returns {number} 0, or seconds to wait (the request is then not counted)
+ */
+function takeRequest(client, now = Date.now()) {
+  if (!client) return 0;
+  const entry = usageFor(client.id);
+  entry.requests = entry.requests.filter(t => now - t < MINUTE_MS);
+
+  const limit = client.quotas.requestsPerMinute;
+  if (limit && entry.requests.length >= limit) {
+    // Retry once the oldest request in the window has expired
+    return Math.ceil((entry.requests[0] + MINUTE_MS - now) / 1000);
+  }
+  entry.requests.push(now);
+  return 0;
+}
+
+/**
+ * Whether `bytes` more would fit in today's bytesPerDay (nothing is counted).
+ *
+ * @param {Object|null} client
+ * @param {number} bytes
+ * @returns {number} 0, or seconds until the quota resets (UTC midnight)
+ */
+function checkBytes(client, bytes, now = Date.now()) {
+  if (!client || !client.quotas.bytesPerDay) return 0;
+  const entry = usageFor(client.id);
+  const day = currentDay(entry, now);
+
+  if (entry.bytes + bytes <= client.quotas.bytesPerDay) return 0;
+  return Math.ceil(((day + 1) * DAY_MS - now) / 1000);
+}
+
+/**
+ * Count uploaded bytes against bytesPerDay.
+ *
+ * @param {Object|null} client
+ * @param {number} bytes
+ */
+function addBytes(client, bytes, now = Date.now()) {
+  if (!client) return;
+  const entry = usageFor(client.id);
+  currentDay(entry, now);
+  entry.bytes += bytes;
+}
+
+/**
+ * Reserve one of the client's concurrentJobs slots. Every successful call
+ * must be paired with releaseJob.
+ *
+ * @param {Object|null} client
+ * @returns {number} 0 when reserved, otherwise seconds to wait
+ */
+function acquireJob(client) {
+  if (!client) return 0;
+  const entry = usageFor(client.id);
+  const limit = client.quotas.concurrentJobs;
+  if (limit && entry.active >= limit) return JOB_RETRY_AFTER_S;
+  entry.active++;
+  return 0;
+}
+
+/**
+ * Give back a slot reserved by acquireJob.
+ *
+ * @param {Object|null} client
+ */
+function releaseJob(client) {
+  if (!client) return;
+  const entry = usageFor(client.id);
+  entry.active = Math.max(0, entry.active - 1);
+}
+
+/**
+ * Current usage of a client (admin API).
+ *
+ * @param {string} id Client id
+ * @returns {Object} { requestsLastMinute, bytesToday, activeJobs }
+ */
+function usageReport(id, now = Date.now()) {
+  const entry = usage.get(id);
+  if (!entry) return { requestsLastMinute: 0, bytesToday: 0, activeJobs: 0 };
+  return {
+    requestsLastMinute: entry.requests.filter(t => now - t < MINUTE_MS).length,
+    bytesToday: entry.day === Math.floor(now / DAY_MS) ? entry.bytes : 0,
+    activeJobs: entry.active,
+  };
+}
+
+/**
+ * Forget clients with nothing left to track (anonymous clients are per IP,
+ * so the map would otherwise grow forever).
+ *
+ * @returns {number} Number of entries removed
+ */
+function pruneUsage(now = Date.now()) {
+  let pruned = 0;
+  for (const id of usage.keys()) {
+    const { requestsLastMinute, bytesToday, activeJobs } = usageReport(id, now);
+    if (!requestsLastMinute && !bytesToday && !activeJobs) {
+      usage.delete(id);
+      pruned++;
+    }
+  }
+  return pruned;
+}
+
+module.exports = {
+  takeRequest,
+  checkBytes,
+  addBytes,
+  acquireJob,
+  releaseJob,
+  usageReport,
+  pruneUsage,
+};
@@ -0,0 +1,207 @@
+/**
+ * utils/renditions.js
+ *
+ * Request handling for GET /img/:id – on‑the‑fly renditions of stored
+ * originals.
+ *   • Parses and validates the query (w, h, q, fit, fmt),
+ *   • Picks the output format from the Accept header for fmt=auto,
+ *   • Authorises a request through the allow‑lists of sizes and qualities,
+ *     or an HMAC signature of its path and query,
+ *   • Derives the stable key used as ETag and stored rendition name.
+ *
+ * An image id is "<batchId>-<stored file name>", as returned in `imageUrl`
+ * by the upload and job APIs for raster images.
+ */
+
+const crypto = require('crypto');
+const { FORMATS, OUTPUT_FORMATS, formatFromName } = require('./formats');
+const { FIT_MODES } = require('./settings');
+const { isBatchId } = require('./batches');
+
+// Bump when renditions of the same request would change
+const RENDITION_VERSION = 1;
+
+const BATCH_ID_LENGTH = 32;
+const QUERY_FIELDS = ['w', 'h', 'q', 'fit', 'fmt'];
+// Served for fmt=auto, best first, when the client accepts them
+const AUTO_FORMATS = ['avif', 'webp'];
+
+/**
+ * Split an image id into its batch and file name.
+ *
+ * @param {string} id Image id from the URL
+ * @returns {Object|null} { batchId, filename } or null when malformed or
+ *   not a raster image
+ */
+function parseImageId(id) {
+  const batchId = id.slice(0, BATCH_ID_LENGTH);
+  const filename = id.slice(BATCH_ID_LENGTH + 1);
+  if (!isBatchId(batchId) || id[BATCH_ID_LENGTH] !== '-') return null;
+  const format = filename && formatFromName(filename);
+  // SVG has no renditions – its sanitised output is served as it is
+  if (!format || format === 'svg' || /[/\\]/.test(filename)) return null;
+  return { batchId, filename };
+}
+
+/**
+ * Validate the query of an image request. Omitted fields stay null.
+ *
+ * @param {Object} query        req.query
+ * @param {number} maxDimension Largest accepted w / h
+ * @returns {Object} { w, h, q, fit, fmt }
+ * @throws {Error} On unknown or invalid fields
+ */
+function readImageQuery(query, maxDimension) {
+  const params = { w: null, h: null, q: null, fit: null, fmt: null };
+
+  for (const [key, raw] of Object.entries(query)) {
+    if (key === 's') continue;
+    if (!QUERY_FIELDS.includes(key)) {
+      throw new Error(`Unknown parameter "${key}"`);
+    }
+    if (typeof raw !== 'string') {
+      throw new Error(`"${key}" must be given once`);
+    }
+    params[key] = raw;
+  }
+
+  const readInt = (key, max) => {
+    if (params[key] === null) return;
+    const value = Number(params[key]);
+    if (!/^\d+$/.test(params[key]) || value < 1 || value > max) {
+      throw new Error(`"${key}" must be an integer between 1 and ${max}`);
+    }
+    params[key] = value;
+  };
+  readInt('w', maxDimension);
+  readInt('h', maxDimension);
+  readInt('q', 100);
+
+  if (params.fit !== null && !FIT_MODES.includes(params.fit)) {
+    throw new Error(`"fit" must be one of ${FIT_MODES.join(', ')}`);
+  }
+  const formats = ['auto', 'keep', ...OUTPUT_FORMATS];
+  if (params.fmt !== null && !formats.includes(params.fmt)) {
+    throw new Error(`"fmt" must be one of ${formats.join(', ')}`);
+  }
+  return params;
+}
+
+/**
+ * Query string with the set fields in a fixed order – what gets signed.
+ *
+ * @param {Object} params Result of readImageQuery
+ * @returns {string} e.g. "w=640&q=75&fmt=auto"
+ */
+function canonicalQuery(params) {
+  return QUERY_FIELDS.filter(key => params[key] !== null)
+    .map(key => `${key}=${params[key]}`)
+    .join('&');
+}
+
+/**
+ * HMAC‑SHA256 signature of an image request (the `s` query parameter).
+ *
+ * @param {string} id     Image id
+ * @param {Object} params Image parameters
+ * @param {string} key    Signing key
+ * @returns {string} base64url signature
+ */
+function signImageRequest(id, params, key) {
+  return crypto
+    .createHmac('sha256', key)
+    .update(`/img/${id}?${canonicalQuery(params)}`)
+    .digest('base64url');
+}
+
+/**
+ * Whether a request may be served: either it carries a valid signature, or
+ * every size / quality it asks for is on the allow‑lists.
+ *
+ * @param {string} id        Image id
+ * @param {Object} params    Result of readImageQuery
+ * @param {string} signature `s` query parameter, if any
+ * @param {Object} policy    { signingKey, widths, heights, qualities }
+ * @returns {boolean}
+ */
+function isAllowed(id, params, signature, policy) {
+  if (policy.signingKey && typeof signature === 'string') {
+    const expected = Buffer.from(
+      signImageRequest(id, params, policy.signingKey)
+    );
+    const given = Buffer.from(signature);
+    if (
+      given.length === expected.length &&
+      crypto.timingSafeEqual(given, expected)
+    ) {
+      return true;
+    }
+  }
+
+  const listed = (value, list) => value === null || list.includes(value);
+  return (
+    listed(params.w, policy.widths) &&
+    listed(params.h, policy.heights) &&
+    listed(params.q, policy.qualities)
+  );
+}
+
+/**
+ * Output format of a rendition. fmt=auto serves AVIF or WebP when the
+ * Accept header lists them, the source format otherwise.
+ *
+ * @param {string|null} fmt   Requested format (null = keep)
+ * @param {string} accept     Accept header
+ * @param {string} source     Format of the original
+ * @returns {string} Format key
+ */
+function negotiateFormat(fmt, accept, source) {
+  if (fmt === 'auto') {
+    const accepted = (accept || '').toLowerCase();
+    const match = AUTO_FORMATS.find(f => accepted.includes(FORMATS[f].mime));
+    return match || source;
+  }
+  return !fmt || fmt === 'keep' ? source : fmt;
+}
+
+/**
+ * Stable key of a rendition – the same id, parameters and output format
+ * always produce the same bytes, so it serves as a strong ETag.
+ *
+ * @param {string} id     Image id
+ * @param {Object} params Result of readImageQuery
+ * @param {string} format Negotiated format
+ * @returns {string} Hex SHA‑256
+ */
+function renditionKey(id, params, format) {
+  return crypto
+    .createHash('sha256')
+    .update(`${RENDITION_VERSION}\0${id}\0${canonicalQuery(params)}\0${format}`)
+    .digest('hex');
+}
+
+/**
+ * Compression settings (utils/settings.js) fields for a rendition.
+ *
+ * @param {Object} params Result of readImageQuery
+ * @param {string} format Negotiated format
+ * @returns {Object} Raw fields for parseSettings
+ */
+function renditionFields(params, format) {
+  const fields = { format, noUpscale: 'true' };
+  if (params.w) fields.maxWidth = String(params.w);
+  if (params.h) fields.maxHeight = String(params.h);
+  if (params.q) fields.quality = String(params.q);
+  if (params.fit) fields.fit = params.fit;
+  return fields;
+}
+
+module.exports = {
+  parseImageId,
+  readImageQuery,
+  signImageRequest,
+  isAllowed,
+  negotiateFormat,
+  renditionKey,
+  renditionFields,
+};
@@ -0,0 +1,212 @@
+/**
+ * utils/report.js
+ *
+ * Machine‑readable record of a processed batch, for asset pipelines and
+ * performance audits.
+ *   • One row per file: original and optimized names, dimensions, format,
+ *     applied settings, byte sizes, savings and warnings; files that were
+ *     rejected or failed are listed with their error,
+ *   • Rendered as JSON (manifest.json) or CSV (report.csv) – both are added
+ *     to the batch ZIP and served by GET /batches/:batchId/report.
+ */
+
+const REPORT_FILES = Object.freeze({
+  json: 'manifest.json',
+  csv: 'report.csv',
+});
+
+const CSV_COLUMNS = [
+  'originalName',
+  'optimizedName',
+  'format',
+  'width',
+  'height',
+  'sizeBefore',
+  'sizeAfter',
+  'savedBytes',
+  'savedPercent',
+  'ssim',
+  'psnr',
+  'variants',
+  'settings',
+  'warnings',
+  'code',
+  'error',
+];
+
+/**
+ * Savings of an output over its original.
+ */
+function savings(sizeBefore, sizeAfter) {
+  const savedBytes = sizeBefore - sizeAfter;
+  const savedPercent = sizeBefore
+    ? Number(((100 * savedBytes) / sizeBefore).toFixed(1))
+    : 0;
+  return { savedBytes, savedPercent };
+}
+
+/**
+ * Things worth a second look in the result of a file.
+ *
+ * @param {Object} file Processed file description (server describeFile)
+ * @returns {Array<string>}
+ */
+function fileWarnings(file) {
+  const warnings = [];
+  if (file.skipped) warnings.push(`original kept (${file.skipped})`);
+  if (file.sizeAfter > file.sizeBefore) {
+    warnings.push('output larger than the original');
+  }
+  if (file.targetSize && !file.targetSize.met) {
+    warnings.push('target size not met');
+  }
+  if (file.minSsim && !file.minSsim.met) {
+    warnings.push('minimum SSIM not met');
+  }
+  if (file.metadata && file.metadata.gps && file.metadata.kept.length) {
+    warnings.push('location data kept');
+  }
+  if (file.sanitised && file.sanitised.length) {
+    warnings.push(`removed from SVG: ${file.sanitised.join(', ')}`);
+  }
+  return warnings;
+}
+
+/**
+ * Report row of one file.
+ *
+ * @param {Object} file Processed file description, or { originalName, code,
+ *   error } for a file that was rejected or failed
+ * @returns {Object}
+ */
+function reportRow(file) {
+  if (file.error) {
+    return {
+      originalName: file.originalName,
+      optimizedName: null,
+      warnings: [],
+      code: file.code,
+      error: file.error,
+    };
+  }
+
+  return {
+    originalName: file.originalName,
+    optimizedName: file.optimizedName,
+    format: file.format,
+    width: file.width,
+    height: file.height,
+    sizeBefore: file.sizeBefore,
+    sizeAfter: file.sizeAfter,
+    ...savings(file.sizeBefore, file.sizeAfter),
+    ssim: file.metrics ? file.metrics.ssim : null,
+    psnr: file.metrics ? file.metrics.psnr : null,
+    variants: file.variants.map(v => ({
+      optimizedName: v.optimizedName,
+      width: v.width,
+      height: v.height,
+      sizeAfter: v.sizeAfter,
+    })),
+    settings: file.settings,
+    warnings: fileWarnings(file),
+    code: null,
+    error: null,
+  };
+}
+
+// Files without a position (batches indexed before it was recorded) keep
+// their order – the sort is stable
+const uploadPosition = file =>
+  typeof file.position === 'number' ? file.position : 0;
+
+/**
+ * Build the report of a batch.
+ *
+ * @param {Object} batch
+ * @param {string} batch.batchId
+ * @param {number} batch.createdAt When it was processed (ms)
+ * @param {Array<Object>} batch.files  Processed file descriptions
+ * @param {Array<Object>} [batch.failed=[]] { originalName, code, error } of
+ *   the files that were rejected or failed
+ * @returns {Object} { batchId, createdAt, totals, files } – the rows follow
+ *   the upload order when files and failed carry their `position` in it
+ */
+function createReport({ batchId, createdAt, files, failed = [] }) {
+  const sizeBefore = files.reduce((acc, f) => acc + f.sizeBefore, 0);
+  const sizeAfter = files.reduce((acc, f) => acc + f.sizeAfter, 0);
+
+  return {
+    batchId,
+    createdAt: new Date(createdAt).toISOString(),
+    totals: {
+      files: files.length,
+      failed: failed.length,
+      sizeBefore,
+      sizeAfter,
+      ...savings(sizeBefore, sizeAfter),
+    },
+    files: [...files, ...failed]
+      .sort((a, b) => uploadPosition(a) - uploadPosition(b))
+      .map(reportRow),
+  };
+}
+
+/**
+ * One CSV cell. Text a spreadsheet would read as a formula gets a leading
+ * apostrophe.
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a report as CSV (RFC 4180, header row first). Variants are listed
+ * by name, settings as JSON and warnings separated by "; ".
+ *
+ * @param {Object} report Result of createReport
+ * @returns {string}
+ */
+function reportCsv(report) {
+  const lines = report.files.map(row =>
+    CSV_COLUMNS.map(column => {
+      const value = row[column];
+      if (column === 'variants') {
+        return csvCell((value || []).map(v => v.optimizedName).join(' '));
+      }
+      if (column === 'settings') {
+        return csvCell(value ? JSON.stringify(value) : null);
+      }
+      if (column === 'warnings') return csvCell(value.join('; '));
+      return csvCell(value);
+    }).join(',')
+  );
+  return `${[CSV_COLUMNS.join(','), ...lines].join('\r\n')}\r\n`;
+}
+
+/**
+ * Report files to add to a ZIP bundle.
+ *
+ * @param {Object} report Result of createReport
+ * @returns {Array<Object>} { name, data } entries (see createZip)
+ */
+function reportEntries(report) {
+  return [
+    {
+      name: REPORT_FILES.json,
+      data: Buffer.from(JSON.stringify(report, null, 2)),
+    },
+    { name: REPORT_FILES.csv, data: Buffer.from(reportCsv(report)) },
+  ];
+}
+
+module.exports = {
+  REPORT_FILES,
+  createReport,
+  reportCsv,
+  reportEntries,
+};
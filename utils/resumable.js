@@ -0,0 +1,334 @@
+/**
+ * utils/resumable.js
+ *
+ * Resumable uploads following the tus 1.0 protocol (core, plus the creation,
+ * checksum, termination and expiration extensions).
+ *   • POST creates an upload of a known length, PATCH appends a chunk at the
+ *     current offset, HEAD tells how much has arrived,
+ *   • A chunk sent with Upload-Checksum is kept only when it arrived whole
+ *     and matches; otherwise the upload stays at its previous offset,
+ *   • A chunk without checksum keeps whatever arrived before a connection
+ *     dropped, so the client resumes from there,
+ *   • Uploads are files in one folder – <id> (data) and <id>.json (metadata)
+ *     – so they survive restarts; the offset is the size of the data file,
+ *   • A complete upload is claimed into a batch and then processed like a
+ *     file of a multipart upload.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'checksum', 'termination', 'expiration'];
+const CHECKSUM_ALGORITHMS = ['sha1', 'sha256', 'md5'];
+const UPLOAD_ID = /^[a-f0-9]{32}$/;
+
+// Request and response headers browsers must be allowed to use (CORS)
+const TUS_REQUEST_HEADERS = [
+  'Tus-Resumable',
+  'Upload-Length',
+  'Upload-Metadata',
+  'Upload-Offset',
+  'Upload-Checksum',
+];
+const TUS_RESPONSE_HEADERS = [
+  'Location',
+  'Tus-Resumable',
+  'Tus-Version',
+  'Tus-Extension',
+  'Tus-Max-Size',
+  'Tus-Checksum-Algorithm',
+  'Upload-Offset',
+  'Upload-Length',
+  'Upload-Metadata',
+  'Upload-Expires',
+];
+
+/**
+ * Error answered with the given HTTP status.
+ */
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Parse an Upload-Metadata header ("key base64,key2 base64").
+ *
+ * @param {string} header
+ * @returns {Object} key → decoded value
+ * @throws {Error} When malformed
+ */
+function parseMetadata(header) {
+  const metadata = {};
+  for (const pair of (header || '').split(',')) {
+    if (!pair.trim()) continue;
+    const [key, value = '', extra] = pair.trim().split(' ');
+    if (!key || extra !== undefined || !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      throw httpError(400, 'Malformed Upload-Metadata');
+    }
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  }
+  return metadata;
+}
+
+/**
+ * Parse an Upload-Checksum header ("sha256 base64").
+ *
+ * @param {string} header
+ * @returns {Object} { algorithm, digest }
+ * @throws {Error} 400 for unsupported algorithms or malformed values
+ */
+function parseChecksum(header) {
+  const [algorithm, digest, extra] = header.trim().split(' ');
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw httpError(400, `Unsupported checksum algorithm "${algorithm}"`);
+  }
+  if (!digest || extra !== undefined) {
+    throw httpError(400, 'Malformed Upload-Checksum');
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * Create the store of resumable uploads.
+ *
+ * @param {Object} options
+ * @param {string} options.dir       Folder for incomplete uploads
+ * @param {number} options.maxSize   Largest accepted Upload-Length
+ * @param {number} options.expiresMs Lifetime after the last received chunk
+ * @param {RegExp} options.allowed   Accepted file names
+ * @returns {Object} { protocolHeaders, create, get, append, remove, claim,
+ *   expiresAt, expire }
+ */
+function createResumableStore({ dir, maxSize, expiresMs, allowed }) {
+  // Uploads receiving a chunk right now
+  const busy = new Set();
+
+  const dataPath = id => path.join(dir, id);
+  const metaPath = id => path.join(dir, `${id}.json`);
+
+  /**
+   * Headers sent with every response of the protocol.
+   *
+   * @returns {Object}
+   */
+  function protocolHeaders() {
+    return {
+      'Tus-Resumable': TUS_VERSION,
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS.join(','),
+      'Tus-Max-Size': String(maxSize),
+      'Tus-Checksum-Algorithm': CHECKSUM_ALGORITHMS.join(','),
+    };
+  }
+
+  /**
+   * Start an upload.
+   *
+   * @param {Object} request
+   * @param {string} request.length   Upload-Length header
+   * @param {string} request.metadata Upload-Metadata header – must name the
+   *   file (`filename` or `name`)
+   * @param {string|null} request.clientId Owner (API client id)
+   * @returns {Promise<Object>} Upload (see get)
+   * @throws {Error} With status 400, 413 or 415
+   */
+  async function create({ length, metadata, clientId }) {
+    const size = Number(length);
+    if (!/^\d+$/.test(length || '') || !Number.isSafeInteger(size)) {
+      throw httpError(400, 'Upload-Length must be a non‑negative integer');
+    }
+    if (size > maxSize) {
+      throw httpError(413, `Upload-Length exceeds ${maxSize} bytes`);
+    }
+
+    const fields = parseMetadata(metadata);
+    const name = path.basename(fields.filename || fields.name || '');
+    if (!name) {
+      throw httpError(400, 'Upload-Metadata must include "filename"');
+    }
+    if (!allowed.test(name)) {
+      throw httpError(415, `${name}: file type not allowed`);
+    }
+
+    const upload = {
+      id: crypto.randomBytes(16).toString('hex'),
+      name,
+      length: size,
+      metadata: metadata || '',
+      clientId,
+      createdAt: Date.now(),
+    };
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(dataPath(upload.id), '');
+    await fsp.writeFile(metaPath(upload.id), JSON.stringify(upload));
+    return { ...upload, offset: 0, updatedAt: upload.createdAt };
+  }
+
+  /**
+   * Look up an upload.
+   *
+   * @param {string} id
+   * @returns {Promise<Object|null>} { id, name, length, offset, metadata,
+   *   clientId, createdAt, updatedAt }, null when unknown
+   */
+  async function get(id) {
+    if (!UPLOAD_ID.test(id)) return null;
+    try {
+      const upload = JSON.parse(await fsp.readFile(metaPath(id), 'utf8'));
+      const stats = await fsp.stat(dataPath(id));
+      return { ...upload, offset: stats.size, updatedAt: stats.mtimeMs };
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Append a chunk.
+   *
+   * @param {Object} upload      Result of get
+   * @param {string} offset      Upload-Offset header
+   * @param {Stream} stream      Chunk body (the request)
+   * @param {string} [checksum]  Upload-Checksum header
+   * @returns {Promise<number>} New offset
+   * @throws {Error} With status 400, 409 (wrong offset), 413 (past the
+   *   length), 423 (another chunk is being received) or 460 (checksum
+   *   mismatch); without status when the connection broke off
+   */
+  async function append(upload, offset, stream, checksum) {
+    if (!/^\d+$/.test(offset || '')) {
+      throw httpError(400, 'Upload-Offset must be a non‑negative integer');
+    }
+    if (Number(offset) !== upload.offset) {
+      throw httpError(409, `Upload-Offset must be ${upload.offset}`);
+    }
+    const expected = checksum ? parseChecksum(checksum) : null;
+    if (busy.has(upload.id)) {
+      throw httpError(423, 'A chunk is already being received');
+    }
+
+    busy.add(upload.id);
+    const hash = expected && crypto.createHash(expected.algorithm);
+    let received = 0;
+    try {
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (upload.offset + received > upload.length) {
+            return callback(httpError(413, 'Chunk goes past Upload-Length'));
+          }
+          if (hash) hash.update(chunk);
+          callback(null, chunk);
+        },
+      });
+      await pipeline(
+        stream,
+        counter,
+        fs.createWriteStream(dataPath(upload.id), {
+          flags: 'r+',
+          start: upload.offset,
+        })
+      );
+      if (hash && hash.digest('base64') !== expected.digest) {
+        throw httpError(460, 'Checksum mismatch');
+      }
+    } catch (e) {
+      // Unverified or rejected bytes are dropped; plain chunks keep what
+      // made it to disk
+      if (hash || e.status) {
+        await fsp.truncate(dataPath(upload.id), upload.offset);
+      }
+      throw e;
+    } finally {
+      busy.delete(upload.id);
+    }
+    return upload.offset + received;
+  }
+
+  /**
+   * Delete an upload (termination).
+   *
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async function remove(id) {
+    await fsp.rm(metaPath(id), { force: true });
+    await fsp.rm(dataPath(id), { force: true });
+  }
+
+  /**
+   * Move a complete upload out of the store.
+   *
+   * @param {Object} upload   Result of get
+   * @param {string} destPath Where the file goes (same file system)
+   * @returns {Promise<void>}
+   * @throws {Error} When the upload is incomplete or already claimed
+   */
+  async function claim(upload, destPath) {
+    if (upload.offset !== upload.length || busy.has(upload.id)) {
+      throw new Error(`Upload ${upload.id} is not complete`);
+    }
+    await fsp.rename(dataPath(upload.id), destPath);
+    await fsp.rm(metaPath(upload.id), { force: true });
+  }
+
+  /**
+   * When an upload will be removed unless more data arrives.
+   *
+   * @param {Object} upload Result of get
+   * @returns {Date}
+   */
+  function expiresAt(upload) {
+    return new Date(upload.updatedAt + expiresMs);
+  }
+
+  /**
+   * Remove uploads that received nothing for expiresMs.
+   *
+   * @returns {Promise<number>} Number of removed uploads
+   */
+  async function expire() {
+    let names;
+    try {
+      names = await fsp.readdir(dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return 0;
+      throw e;
+    }
+
+    // Data files left without metadata are removed as well
+    const ids = new Set(names.map(name => path.basename(name, '.json')));
+    let removed = 0;
+    for (const id of ids) {
+      if (!UPLOAD_ID.test(id) || busy.has(id)) continue;
+      const upload = await get(id);
+      if (!upload || Date.now() - upload.updatedAt > expiresMs) {
+        await remove(id);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  return {
+    protocolHeaders,
+    create,
+    get,
+    append,
+    remove,
+    claim,
+    expiresAt,
+    expire,
+  };
+}
+
+module.exports = {
+  createResumableStore,
+  TUS_REQUEST_HEADERS,
+  TUS_RESPONSE_HEADERS,
+};
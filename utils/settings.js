@@ -0,0 +1,275 @@
+/**
+ * utils/settings.js
+ *
+ * Compression settings sent alongside an upload.
+ *   • Declares the defaults used when a field is omitted,
+ *   • Validates and normalises raw form fields (everything arrives as strings),
+ *   • Picks the subset of settings relevant to a given output format.
+ */
+
+const { OUTPUT_FORMATS } = require('./formats');
+const { METADATA_POLICIES } = require('./metadata');
+
+const DEFAULT_SETTINGS = Object.freeze({
+  format: 'keep',
+  quality: 75,
+  progressive: true,
+  chromaSubsampling: '4:2:0',
+  pngQualityMin: 0.6,
+  pngQualityMax: 0.8,
+  gifColours: 256,
+  gifLossy: 0,
+  gifDither: 1,
+  maxWidth: null,
+  maxHeight: null,
+  fit: 'inside',
+  noUpscale: true,
+  widths: [],
+  targetSize: null,
+  minSsim: null,
+  metadata: 'strip',
+  autoOrient: true,
+});
+
+// sharp resize fit modes
+const FIT_MODES = ['inside', 'outside', 'cover', 'contain', 'fill'];
+
+const MAX_DIMENSION = 10000;
+const MAX_VARIANTS = 8;
+const MAX_TARGET_SIZE = 100 * 1024 * 1024;
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+// mozjpeg expresses chroma subsampling as luma sampling factors (-sample)
+const CHROMA_SUBSAMPLING = {
+  '4:2:0': ['2x2'],
+  '4:2:2': ['2x1'],
+  '4:4:4': ['1x1'],
+};
+
+/**
+ * Read an integer field, enforcing inclusive bounds.
+ */
+function readInt(body, key, min, max) {
+  const raw = body[key];
+  if (raw === undefined || raw === '') return DEFAULT_SETTINGS[key];
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`"${key}" must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Read an optional integer field – omitted means "no value" (null).
+ */
+function readOptionalInt(body, key, min, max) {
+  const raw = body[key];
+  if (raw === undefined || raw === '') return null;
+  return readInt({ [key]: raw }, key, min, max);
+}
+
+/**
+ * Read a comma separated list of integers ("320,640,1280"). Repeated form
+ * fields arrive as an array and are accepted as well.
+ */
+function readIntList(body, key, min, max, maxCount) {
+  const raw = body[key];
+  if (raw === undefined || raw === '') return DEFAULT_SETTINGS[key];
+
+  const parts = (Array.isArray(raw) ? raw.join(',') : String(raw))
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean);
+  const values = parts.map(Number);
+
+  if (values.some(v => !Number.isInteger(v) || v < min || v > max)) {
+    throw new Error(
+      `"${key}" must be a list of integers between ${min} and ${max}`
+    );
+  }
+  if (values.length > maxCount) {
+    throw new Error(`"${key}" accepts at most ${maxCount} values`);
+  }
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+/**
+ * Read an optional byte size – plain bytes or with a unit ("200KB", "1.5MB").
+ */
+function readSize(body, key, min, max) {
+  const raw = body[key];
+  if (raw === undefined || raw === '') return DEFAULT_SETTINGS[key];
+
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(raw));
+  const unit = match && (match[2] || 'b').toLowerCase();
+  const value = match ? Math.floor(Number(match[1]) * SIZE_UNITS[unit]) : NaN;
+
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(
+      `"${key}" must be a size between ${min} and ${max} bytes (e.g. 200KB)`
+    );
+  }
+  return value;
+}
+
+/**
+ * Read a decimal field, enforcing inclusive bounds.
+ */
+function readFloat(body, key, min, max) {
+  const raw = body[key];
+  if (raw === undefined || raw === '') return DEFAULT_SETTINGS[key];
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new Error(`"${key}" must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Read a boolean field ("true"/"false", "1"/"0", "on"/"off").
+ */
+function readBool(body, key) {
+  const raw = body[key];
+  if (raw === undefined || raw === '') return DEFAULT_SETTINGS[key];
+
+  const value = String(raw).toLowerCase();
+  if (['true', '1', 'on', 'yes'].includes(value)) return true;
+  if (['false', '0', 'off', 'no'].includes(value)) return false;
+  throw new Error(`"${key}" must be a boolean`);
+}
+
+/**
+ * Read a field restricted to a fixed list of values.
+ */
+function readEnum(body, key, allowed) {
+  const raw = body[key];
+  if (raw === undefined || raw === '') return DEFAULT_SETTINGS[key];
+
+  if (!allowed.includes(raw)) {
+    throw new Error(`"${key}" must be one of ${allowed.join(', ')}`);
+  }
+  return raw;
+}
+
+/**
+ * Validate the settings fields of an upload request.
+ *
+ * @param {Object} [body={}] Raw form fields (req.body)
+ * @returns {Object} Normalised settings, defaults filled in
+ * @throws {Error} When a field is present but invalid
+ */
+function parseSettings(body = {}) {
+  const settings = {
+    format: readEnum(body, 'format', ['keep', ...OUTPUT_FORMATS]),
+    quality: readInt(body, 'quality', 1, 100),
+    progressive: readBool(body, 'progressive'),
+    chromaSubsampling: readEnum(
+      body,
+      'chromaSubsampling',
+      Object.keys(CHROMA_SUBSAMPLING)
+    ),
+    pngQualityMin: readFloat(body, 'pngQualityMin', 0, 1),
+    pngQualityMax: readFloat(body, 'pngQualityMax', 0, 1),
+    gifColours: readInt(body, 'gifColours', 2, 256),
+    gifLossy: readInt(body, 'gifLossy', 0, 32),
+    gifDither: readFloat(body, 'gifDither', 0, 1),
+    maxWidth: readOptionalInt(body, 'maxWidth', 1, MAX_DIMENSION),
+    maxHeight: readOptionalInt(body, 'maxHeight', 1, MAX_DIMENSION),
+    fit: readEnum(body, 'fit', FIT_MODES),
+    noUpscale: readBool(body, 'noUpscale'),
+    widths: readIntList(body, 'widths', 1, MAX_DIMENSION, MAX_VARIANTS),
+    targetSize: readSize(body, 'targetSize', 1024, MAX_TARGET_SIZE),
+    minSsim: readFloat(body, 'minSsim', 0.5, 1),
+    metadata: readEnum(body, 'metadata', METADATA_POLICIES),
+    autoOrient: readBool(body, 'autoOrient'),
+  };
+
+  if (settings.pngQualityMin > settings.pngQualityMax) {
+    throw new Error('"pngQualityMin" must not be greater than "pngQualityMax"');
+  }
+  // Both pick the quality
+  if (settings.targetSize && settings.minSsim) {
+    throw new Error('"targetSize" and "minSsim" cannot be combined');
+  }
+
+  return settings;
+}
+
+/**
+ * sharp resize options for the main output, or null when no bound is set.
+ *
+ * @param {Object} settings Normalised settings
+ * @returns {Object|null} Options for sharp().resize()
+ */
+function resizeOptions(settings) {
+  if (!settings.maxWidth && !settings.maxHeight) return null;
+  return {
+    width: settings.maxWidth || undefined,
+    height: settings.maxHeight || undefined,
+    fit: settings.fit,
+    withoutEnlargement: settings.noUpscale,
+  };
+}
+
+/**
+ * Settings that actually apply to a file encoded in the given format.
+ *
+ * @param {Object} settings Normalised settings (see parseSettings)
+ * @param {string} format   Output format key (see utils/formats.js)
+ * @returns {Object} Subset echoed back to the client
+ */
+function settingsFor(settings, format) {
+  // SVG is only minified and sanitised (utils/svg.js)
+  if (format === 'svg') return { format };
+
+  const common = {
+    format,
+    resize: resizeOptions(settings) && {
+      maxWidth: settings.maxWidth,
+      maxHeight: settings.maxHeight,
+      fit: settings.fit,
+      noUpscale: settings.noUpscale,
+    },
+    widths: settings.widths,
+    targetSize: settings.targetSize,
+    minSsim: settings.minSsim,
+    metadata: settings.metadata,
+    autoOrient: settings.autoOrient,
+  };
+
+  if (format === 'png') {
+    return {
+      ...common,
+      pngQuality: [settings.pngQualityMin, settings.pngQualityMax],
+    };
+  }
+  if (format === 'jpeg') {
+    return {
+      ...common,
+      quality: settings.quality,
+      progressive: settings.progressive,
+      chromaSubsampling: settings.chromaSubsampling,
+    };
+  }
+  if (format === 'gif') {
+    return {
+      ...common,
+      gifColours: settings.gifColours,
+      gifLossy: settings.gifLossy,
+      gifDither: settings.gifDither,
+    };
+  }
+  return { ...common, quality: settings.quality };
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  CHROMA_SUBSAMPLING,
+  FIT_MODES,
+  parseSettings,
+  resizeOptions,
+  settingsFor,
+};
@@ -0,0 +1,394 @@
+/**
+ * utils/storage.js
+ *
+ * Where finished batches are kept and served from.
+ *   • local – the batch folders under uploadDir / optimizedDir themselves;
+ *     downloads are sent from disk and the cleanup cron expires them,
+ *   • s3    – an S3‑compatible bucket shared by every replica. A processed
+ *     batch is copied to <prefix>uploads/<batchId>/… and
+ *     <prefix>optimized/<batchId>/…, then its local folders are removed.
+ *     Downloads redirect to pre‑signed URLs and objects are expired by a
+ *     bucket lifecycle rule instead of the cleanup cron.
+ *
+ * Uploads are always received and processed in the local folders, which are
+ * only scratch space with the s3 backend.
+ *
+ * Both backends return an object with:
+ *   storeBatch(batch)             – persist a processed batch
+ *   locate(area, batchId, name)   – { path } or { url } of a stored file,
+ *                                   null when unknown
+ *   read(area, batchId, name)     – contents of a stored file, or null
+ *   write(area, batchId, name, buffer) – store a file of an existing batch
+ *   lifetime(batchId, createdAt)  – { expiresAt, extendable } (expiresAt in
+ *                                   ms, null when never), null when unknown
+ *   extend(batchId, expiresAt)    – keep a batch until then (local only)
+ *   check()                       – rejects when the backend is unusable
+ *   init()                        – one‑time set‑up at start‑up
+ *   origin()                      – origin of the download URLs (s3), or null
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+  GetObjectCommand,
+  GetBucketLifecycleConfigurationCommand,
+  PutBucketLifecycleConfigurationCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { FORMATS, formatFromName } = require('./formats');
+const { isBatchId, removeBatch, resolveBatchFile } = require('./batches');
+
+// "uploads" holds the originals, "optimized" the outputs and ZIPs,
+// "renditions" the images generated by GET /img/:id
+const AREAS = ['uploads', 'optimized', 'renditions'];
+// Local renditions sit inside the optimized batch folder, so they expire
+// with the batch
+const RENDITIONS_DIR = 'renditions';
+const LIFECYCLE_RULE_ID = 'sora-lite-expiry';
+
+/**
+ * Content type of a stored file, from its name.
+ */
+function contentTypeFor(name) {
+  if (name.toLowerCase().endsWith('.zip')) return 'application/zip';
+  const format = formatFromName(name);
+  return format ? FORMATS[format].mime : 'application/octet-stream';
+}
+
+/**
+ * Batches stay where they were processed. The cleanup cron removes a batch
+ * folder expiresMs after its last modification, so a batch is kept longer by
+ * moving the modification time of its folders into the future.
+ *
+ * @param {Object} options
+ * @param {string} options.uploadDir      Root of the original uploads
+ * @param {string} options.optimizedDir   Root of the outputs
+ * @param {number|null} options.expiresMs Batch lifetime, null when the
+ *   cleanup cron is off
+ * @returns {Object} Storage backend
+ */
+function createLocalStorage({ uploadDir, optimizedDir, expiresMs }) {
+  const roots = { uploads: uploadDir, optimized: optimizedDir };
+
+  // Folders of a batch, null for malformed ids
+  function batchDirs(batchId) {
+    if (!isBatchId(batchId)) return null;
+    return Object.values(roots).map(root => path.join(root, batchId));
+  }
+
+  // Path of a batch file, null for malformed ids or names
+  function fileFor(area, batchId, name) {
+    if (area === 'renditions') {
+      const batchFile = resolveBatchFile(optimizedDir, batchId, name);
+      if (!batchFile) return null;
+      return path.join(path.dirname(batchFile), RENDITIONS_DIR, name);
+    }
+    return resolveBatchFile(roots[area], batchId, name);
+  }
+
+  async function locate(area, batchId, name) {
+    const filePath = fileFor(area, batchId, name);
+    if (!filePath) return null;
+    try {
+      await fsp.access(filePath);
+      return { path: filePath };
+    } catch {
+      return null;
+    }
+  }
+
+  async function read(area, batchId, name) {
+    const filePath = fileFor(area, batchId, name);
+    if (!filePath) return null;
+    try {
+      return await fsp.readFile(filePath);
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  async function write(area, batchId, name, buffer) {
+    const filePath = fileFor(area, batchId, name);
+    if (!filePath) throw new Error(`Invalid file name ${name}`);
+
+    // A new file touches the batch folder, and its modification time is the
+    // batch lifetime – put it back, whether extend() moved it or not
+    const batchDir = path.join(
+      area === 'uploads' ? uploadDir : optimizedDir,
+      batchId
+    );
+    const before = await fsp.stat(batchDir).catch(() => null);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    await fsp.writeFile(filePath, buffer);
+    if (before) await fsp.utimes(batchDir, before.atime, before.mtime);
+  }
+
+  // The folder modified first is the one the cron removes first
+  async function lifetime(batchId) {
+    const dirs = batchDirs(batchId);
+    if (!dirs) return null;
+    let modified = Infinity;
+    for (const dir of dirs) {
+      try {
+        modified = Math.min(modified, (await fsp.stat(dir)).mtimeMs);
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    }
+    return {
+      expiresAt: expiresMs === null ? null : Math.round(modified + expiresMs),
+      extendable: expiresMs !== null,
+    };
+  }
+
+  async function extend(batchId, expiresAt) {
+    const modified = new Date(expiresAt - expiresMs);
+    for (const dir of batchDirs(batchId)) {
+      await fsp.utimes(dir, new Date(), modified);
+    }
+  }
+
+  async function check() {
+    await Promise.all(Object.values(roots).map(dir => fsp.access(dir)));
+  }
+
+  return {
+    kind: 'local',
+    init: async () => {},
+    storeBatch: async () => {},
+    locate,
+    read,
+    write,
+    lifetime,
+    extend,
+    check,
+    origin: () => null,
+  };
+}
+
+/**
+ * Batches are copied to an S3‑compatible bucket. Credentials come from the
+ * AWS SDK default chain (AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY, shared
+ * config files, instance or task roles).
+ *
+ * @param {Object} options
+ * @param {string} options.bucket
+ * @param {string} options.region
+ * @param {string|null} options.endpoint    For MinIO and other S3 stand‑ins
+ * @param {boolean} options.forcePathStyle  http://host/bucket/key URLs
+ * @param {string|null} options.prefix      Prepended to every object key
+ * @param {number} options.urlExpiresS      Lifetime of download URLs
+ * @param {number} options.expireDays       Object lifetime (lifecycle rule)
+ * @param {boolean} options.manageLifecycle Install the lifecycle rule
+ * @returns {Object} Storage backend
+ */
+function createS3Storage({
+  bucket,
+  region,
+  endpoint,
+  forcePathStyle,
+  prefix,
+  urlExpiresS,
+  expireDays,
+  manageLifecycle,
+}) {
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    // Plain uploads – many S3 stand‑ins do not understand checksummed
+    // (aws‑chunked) bodies
+    requestChecksumCalculation: 'WHEN_REQUIRED',
+    responseChecksumValidation: 'WHEN_REQUIRED',
+  });
+  const keyPrefix = prefix ? `${prefix.replace(/\/+$/, '')}/` : '';
+  const keyFor = (area, batchId, name) =>
+    `${keyPrefix}${area}/${batchId}/${name}`;
+
+  let urlOrigin = null;
+
+  // Adds this service's expiry rule, keeping any other rule of the bucket
+  async function applyLifecycle() {
+    let rules = [];
+    try {
+      const current = await client.send(
+        new GetBucketLifecycleConfigurationCommand({ Bucket: bucket })
+      );
+      rules = current.Rules || [];
+    } catch (e) {
+      if (e.name !== 'NoSuchLifecycleConfiguration') throw e;
+    }
+
+    rules = rules.filter(r => r.ID !== LIFECYCLE_RULE_ID);
+    rules.push({
+      ID: LIFECYCLE_RULE_ID,
+      Status: 'Enabled',
+      Filter: { Prefix: keyPrefix },
+      Expiration: { Days: expireDays },
+      AbortIncompleteMultipartUpload: { DaysAfterInitiation: 1 },
+    });
+    await client.send(
+      new PutBucketLifecycleConfigurationCommand({
+        Bucket: bucket,
+        LifecycleConfiguration: { Rules: rules },
+      })
+    );
+  }
+
+  async function init() {
+    // Download URLs point at the bucket – the CSP must allow its origin
+    const probe = await getSignedUrl(
+      client,
+      new GetObjectCommand({ Bucket: bucket, Key: keyFor('uploads', 'x', 'x') })
+    );
+    urlOrigin = new URL(probe).origin;
+    if (manageLifecycle) await applyLifecycle();
+  }
+
+  async function storeBatch(batch) {
+    const dirs = { uploads: batch.uploadDir, optimized: batch.outDir };
+    const uploads = [];
+    for (const [area, dir] of Object.entries(dirs)) {
+      for (const name of await fsp.readdir(dir)) {
+        const filePath = path.join(dir, name);
+        uploads.push(
+          fsp.stat(filePath).then(stats =>
+            client.send(
+              new PutObjectCommand({
+                Bucket: bucket,
+                Key: keyFor(area, batch.id, name),
+                Body: fs.createReadStream(filePath),
+                ContentLength: stats.size,
+                ContentType: contentTypeFor(name),
+              })
+            )
+          )
+        );
+      }
+    }
+    await Promise.all(uploads);
+    await removeBatch(batch);
+  }
+
+  // Object parameters of a batch file, null for malformed ids or names
+  function objectFor(area, batchId, name) {
+    if (!AREAS.includes(area) || !isBatchId(batchId)) return null;
+    if (!name || path.basename(name) !== name) return null;
+    return { Bucket: bucket, Key: keyFor(area, batchId, name) };
+  }
+
+  async function locate(area, batchId, name) {
+    const params = objectFor(area, batchId, name);
+    if (!params) return null;
+
+    try {
+      await client.send(new HeadObjectCommand(params));
+    } catch (e) {
+      if (e.name === 'NotFound' || e.name === 'NoSuchKey') return null;
+      throw e;
+    }
+
+    const disposition = `attachment; filename*=UTF-8''${encodeURIComponent(name)}`;
+    const url = await getSignedUrl(
+      client,
+      new GetObjectCommand({
+        ...params,
+        ResponseContentDisposition: disposition,
+      }),
+      { expiresIn: urlExpiresS }
+    );
+    return { url };
+  }
+
+  async function read(area, batchId, name) {
+    const params = objectFor(area, batchId, name);
+    if (!params) return null;
+    try {
+      const object = await client.send(new GetObjectCommand(params));
+      return Buffer.from(await object.Body.transformToByteArray());
+    } catch (e) {
+      if (e.name === 'NoSuchKey' || e.name === 'NotFound') return null;
+      throw e;
+    }
+  }
+
+  async function write(area, batchId, name, buffer) {
+    const params = objectFor(area, batchId, name);
+    if (!params) throw new Error(`Invalid file name ${name}`);
+    await client.send(
+      new PutObjectCommand({
+        ...params,
+        Body: buffer,
+        ContentType: contentTypeFor(name),
+      })
+    );
+  }
+
+  // Objects expire expireDays after they were written (the lifecycle rule
+  // runs once a day, so a little later in practice); that cannot be moved
+  async function lifetime(batchId, createdAt) {
+    if (!isBatchId(batchId)) return null;
+    return {
+      expiresAt: createdAt + expireDays * 24 * 60 * 60 * 1000,
+      extendable: false,
+    };
+  }
+
+  async function extend() {
+    throw new Error('Batches stored in S3 expire with the lifecycle rule');
+  }
+
+  async function check() {
+    await client.send(new HeadBucketCommand({ Bucket: bucket }));
+  }
+
+  return {
+    kind: 's3',
+    init,
+    storeBatch,
+    locate,
+    read,
+    write,
+    lifetime,
+    extend,
+    check,
+    origin: () => urlOrigin,
+  };
+}
+
+/**
+ * Storage backend selected by the configuration.
+ *
+ * @param {Object} config Result of loadConfig (utils/config.js)
+ * @returns {Object} Storage backend
+ */
+function createStorage(config) {
+  if (config.storage === 's3') {
+    return createS3Storage({
+      bucket: config.s3Bucket,
+      region: config.s3Region,
+      endpoint: config.s3Endpoint,
+      forcePathStyle: config.s3ForcePathStyle,
+      prefix: config.s3Prefix,
+      urlExpiresS: config.s3UrlExpiresS,
+      expireDays: config.s3ExpireDays,
+      manageLifecycle: config.s3ManageLifecycle,
+    });
+  }
+  return createLocalStorage({
+    uploadDir: config.uploadDir,
+    optimizedDir: config.optimizedDir,
+    expiresMs: config.cleanupEnabled ? config.cleanupAfterMs : null,
+  });
+}
+
+module.exports = {
+  createStorage,
+};
@@ -0,0 +1,156 @@
+/**
+ * utils/svg.js
+ *
+ * SVG minification (svgo) and sanitising, so uploaded SVG can be served back.
+ *   • Minified with svgo's default preset – viewBox and titles are kept,
+ *   • Scripts, event handler attributes and javascript: links are removed,
+ *   • So is everything that makes a viewer load something else: href /
+ *     xlink:href other than #fragments and embedded raster images, url()
+ *     references outside the document, @import rules, <foreignObject> and
+ *     other embedding elements, stylesheet processing instructions and
+ *     animations of links,
+ *   • Every kind of removed content is reported.
+ */
+
+const { optimize } = require('svgo');
+
+// Elements that run code or embed other documents
+const FORBIDDEN_ELEMENTS = new Set([
+  'script',
+  'foreignObject',
+  'iframe',
+  'embed',
+  'object',
+  'audio',
+  'video',
+  'handler',
+  'listener',
+]);
+// References that stay inside the document
+const SAFE_HREF = /^\s*(#|data:image\/(png|jpeg|gif|webp|avif);base64,)/i;
+// url(…) pointing anywhere but a #fragment
+const EXTERNAL_URL = /url\(\s*(?!['"]?\s*#)[^)]*\)/gi;
+const IMPORT_RULE = /@import[^;]*;?/gi;
+// Root width / height usable as a size: unitless or in px
+const PIXEL_LENGTH = /^\s*(\d+(\.\d+)?)\s*(px)?\s*$/;
+
+/**
+ * Remove a node from its parent (svgo visitors may detach while walking).
+ */
+function detach(node, parentNode) {
+  parentNode.children = parentNode.children.filter(child => child !== node);
+}
+
+/**
+ * Drop external url() references and @import rules from a CSS value.
+ */
+function stripExternal(css) {
+  return css.replace(IMPORT_RULE, '').replace(EXTERNAL_URL, 'none');
+}
+
+/**
+ * svgo plugin removing active and external content.
+ *
+ * @param {Set<string>} removed Collects what was removed
+ * @param {Object} root         Receives the root element's attributes
+ * @returns {Object} svgo custom plugin
+ */
+function sanitisePlugin(removed, root) {
+  return {
+    name: 'sanitise',
+    fn: () => ({
+      instruction: {
+        enter: (node, parentNode) => {
+          if (node.name === 'xml') return;
+          detach(node, parentNode);
+          removed.add(`<?${node.name}?>`);
+        },
+      },
+      element: {
+        enter: (node, parentNode) => {
+          if (parentNode.type === 'root' && node.name === 'svg') {
+            root.attributes = node.attributes;
+          }
+
+          // Animating a link could swap an external one back in
+          const animatesHref =
+            (node.name === 'set' || node.name === 'animate') &&
+            /(^|:)href$/i.test(node.attributes.attributeName || '');
+          if (FORBIDDEN_ELEMENTS.has(node.name) || animatesHref) {
+            detach(node, parentNode);
+            removed.add(`<${node.name}>`);
+            return;
+          }
+
+          for (const [name, value] of Object.entries(node.attributes)) {
+            if (/^on/i.test(name)) {
+              delete node.attributes[name];
+              removed.add('event handlers');
+            } else if (/(^|:)href$/i.test(name)) {
+              if (!SAFE_HREF.test(value)) {
+                delete node.attributes[name];
+                removed.add('external links');
+              }
+            } else if (stripExternal(value) !== value) {
+              node.attributes[name] = stripExternal(value);
+              removed.add('external url()');
+            }
+          }
+
+          if (node.name === 'style') {
+            for (const child of node.children) {
+              if (child.type !== 'text' && child.type !== 'cdata') continue;
+              if (stripExternal(child.value) !== child.value) {
+                child.value = stripExternal(child.value);
+                removed.add('external url()');
+              }
+            }
+          }
+        },
+      },
+    }),
+  };
+}
+
+/**
+ * Size of an SVG from its root element: width / height when given in
+ * pixels, the viewBox otherwise.
+ *
+ * @param {Object} attributes Root element attributes
+ * @returns {Object} { width, height } – null when unknown
+ */
+function svgSize(attributes) {
+  const viewBox = (attributes.viewBox || '').trim().split(/[\s,]+/);
+  const side = (name, index) => {
+    const length = PIXEL_LENGTH.exec(attributes[name] || '');
+    const value = length ? Number(length[1]) : Number(viewBox[index]);
+    return value > 0 ? Math.round(value) : null;
+  };
+  return { width: side('width', 2), height: side('height', 3) };
+}
+
+/**
+ * Sanitise and minify an SVG document.
+ *
+ * @param {Buffer} buffer SVG source
+ * @returns {Object} { data, width, height, removed } – data is the cleaned
+ *   SVG, removed lists what the sanitising took out
+ * @throws {Error} When the document is not well‑formed XML
+ */
+function optimiseSvg(buffer) {
+  const removed = new Set();
+  const root = { attributes: {} };
+  const { data } = optimize(buffer.toString('utf8'), {
+    multipass: true,
+    plugins: [sanitisePlugin(removed, root), 'removeScripts', 'preset-default'],
+  });
+  return {
+    data: Buffer.from(data),
+    ...svgSize(root.attributes),
+    removed: [...removed],
+  };
+}
+
+module.exports = {
+  optimiseSvg,
+};
@@ -0,0 +1,191 @@
+/**
+ * utils/tls.js
+ *
+ * Certificates for the HTTPS listener.
+ *   • Reads the configured certificate, private key and optional CA bundle,
+ *   • Generates (and reuses) a self‑signed localhost certificate for local
+ *     development,
+ *   • Watches the certificate files so a renewal is picked up without a
+ *     restart.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const tls = require('tls');
+const selfsigned = require('selfsigned');
+
+const SELF_SIGNED_DAYS = 365;
+// Regenerate a self‑signed certificate that expires within a week
+const RENEW_BEFORE_MS = 7 * 24 * 60 * 60 * 1000;
+// Certificate renewals usually replace several files in a row
+const RELOAD_DELAY_MS = 1000;
+const WATCH_INTERVAL_MS = 5000;
+
+/**
+ * Read a certificate, key and optional CA bundle from disk.
+ *
+ * @param {Object} files
+ * @param {string} files.cert   PEM certificate (chain)
+ * @param {string} files.key    PEM private key
+ * @param {string|null} files.ca PEM CA bundle, if any
+ * @returns {Promise<Object>} Options for tls.createSecureContext()
+ * @throws {Error} Naming the file that could not be read or does not match
+ */
+async function readCertificateFiles({ cert, key, ca }) {
+  const read = async file => {
+    try {
+      return await fsp.readFile(file);
+    } catch (e) {
+      throw new Error(`Cannot read ${file}: ${e.message}`);
+    }
+  };
+
+  const options = { cert: await read(cert), key: await read(key) };
+  if (ca) options.ca = await read(ca);
+
+  // Fails early on a wrong path or a key that does not match the certificate
+  try {
+    tls.createSecureContext(options);
+  } catch (e) {
+    throw new Error(`Invalid certificate or key (${cert}): ${e.message}`);
+  }
+  return options;
+}
+
+/**
+ * Self‑signed certificate for localhost, 127.0.0.1 and ::1. Generated once
+ * into `dir` and reused until it is about to expire.
+ *
+ * @param {string} dir Folder for the generated PEM files
+ * @returns {Promise<Object>} Options for tls.createSecureContext()
+ */
+async function selfSignedCertificate(dir) {
+  const keyPath = path.join(dir, 'localhost-key.pem');
+  const certPath = path.join(dir, 'localhost-cert.pem');
+
+  try {
+    const [key, cert] = await Promise.all([
+      fsp.readFile(keyPath),
+      fsp.readFile(certPath),
+    ]);
+    const validTo = new Date(new crypto.X509Certificate(cert).validTo);
+    if (validTo - Date.now() > RENEW_BEFORE_MS) return { key, cert };
+  } catch {
+    // Missing or unreadable – generate a new one
+  }
+
+  const notBeforeDate = new Date();
+  const notAfterDate = new Date(
+    notBeforeDate.getTime() + SELF_SIGNED_DAYS * 24 * 60 * 60 * 1000
+  );
+  const pems = await selfsigned.generate(
+    [{ name: 'commonName', value: 'localhost' }],
+    {
+      keySize: 2048,
+      algorithm: 'sha256',
+      notBeforeDate,
+      notAfterDate,
+      extensions: [
+        { name: 'basicConstraints', cA: false, critical: true },
+        {
+          name: 'keyUsage',
+          digitalSignature: true,
+          keyEncipherment: true,
+          critical: true,
+        },
+        { name: 'extKeyUsage', serverAuth: true },
+        {
+          name: 'subjectAltName',
+          altNames: [
+            { type: 2, value: 'localhost' },
+            { type: 7, ip: '127.0.0.1' },
+            { type: 7, ip: '::1' },
+          ],
+        },
+      ],
+    }
+  );
+
+  await fsp.mkdir(dir, { recursive: true });
+  await fsp.writeFile(keyPath, pems.private, { mode: 0o600 });
+  await fsp.writeFile(certPath, pems.cert);
+  return { key: pems.private, cert: pems.cert };
+}
+
+/**
+ * TLS settings for the HTTPS listener, or null when HTTPS is not configured.
+ *
+ * @param {Object} config Result of loadConfig (utils/config.js)
+ * @returns {Promise<Object|null>} { options, files, selfSigned }
+ */
+async function loadTls(config) {
+  if (config.tlsCert && config.tlsKey) {
+    const files = {
+      cert: config.tlsCert,
+      key: config.tlsKey,
+      ca: config.tlsCa,
+    };
+    return {
+      options: await readCertificateFiles(files),
+      files,
+      selfSigned: false,
+    };
+  }
+  if (config.tlsSelfSigned) {
+    return {
+      options: await selfSignedCertificate(config.tlsSelfSignedDir),
+      files: null,
+      selfSigned: true,
+    };
+  }
+  return null;
+}
+
+/**
+ * Reload the certificate of an HTTPS server whenever its files change.
+ * A broken intermediate state (e.g. new certificate, old key) is reported
+ * and the previous certificate stays in use.
+ *
+ * @param {Object} server  https.Server
+ * @param {Object} files   { cert, key, ca } paths, as given to loadTls
+ * @param {Object} logger  winston logger
+ * @returns {Function} Stops watching
+ */
+function watchCertificates(server, files, logger) {
+  const paths = [files.cert, files.key, files.ca].filter(Boolean);
+  let timer = null;
+
+  const reload = async () => {
+    timer = null;
+    try {
+      server.setSecureContext(await readCertificateFiles(files));
+      logger.info(`Reloaded TLS certificate from ${files.cert}`);
+    } catch (e) {
+      logger.warn(
+        `TLS reload failed, keeping the current certificate: ${e.message}`
+      );
+    }
+  };
+
+  const onChange = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, RELOAD_DELAY_MS);
+  };
+
+  paths.forEach(p =>
+    fs.watchFile(p, { interval: WATCH_INTERVAL_MS }, onChange)
+  );
+
+  return () => {
+    clearTimeout(timer);
+    paths.forEach(p => fs.unwatchFile(p, onChange));
+  };
+}
+
+module.exports = {
+  loadTls,
+  watchCertificates,
+};
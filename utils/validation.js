@@ -0,0 +1,478 @@
+/**
+ * utils/validation.js
+ *
+ * Content‑based upload validation, run before any image is decoded.
+ *   • Identifies the real format from the magic bytes and checks it against
+ *     the file extension,
+ *   • Walks the container structure (PNG chunks, JPEG segments, RIFF, ISO
+ *     BMFF boxes, GIF blocks) to read the dimensions and frame count from the
+ *     headers and to find data after the end of the image,
+ *   • Rejects polyglots (script / markup payloads, appended archives); other
+ *     trailing data – MPF / Ultra HDR images appended to a JPEG, camera
+ *     trailers – is accepted. Markup is only looked for where text can sit
+ *     in plain sight – comments, text chunks and data after the end of the
+ *     image – never in compressed image data or XMP packets,
+ *   • Enforces pixel‑count and dimension limits (decompression bombs) – for
+ *     animations the pixels of every frame count,
+ *   • SVG is text: scripts and external references are removed later
+ *     (utils/svg.js), entity declarations are refused outright.
+ *
+ * Every check returns either null (valid) or a structured rejection
+ * { code, error } so one bad file never fails the whole batch.
+ */
+
+const fs = require('fs').promises;
+const { formatFromName } = require('./formats');
+
+// Markup / script payloads that have no business in the text of a raster image
+const EMBEDDED_MARKUP = /<(script|\?php|html|!doctype|svg|iframe)[\s>/]/i;
+
+// Archives appended to an image make it a valid archive as well
+const ARCHIVE_SIGNATURES = [
+  Buffer.from('PK\x03\x04', 'latin1'), // ZIP, JAR, Office documents
+  Buffer.from('Rar!\x1a\x07', 'latin1'),
+  Buffer.from('7z\xbc\xaf\x27\x1c', 'latin1'),
+];
+
+// Start of an SVG document: root element after an optional BOM, processing
+// instructions, comments and doctype
+const SVG_START =
+  /^\ufeff?\s*((<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!doctype[^>[]*(\[[^\]]*\])?\s*>)\s*)*<svg[\s>/]/i;
+// How much of a text file is searched for the SVG root element
+const SVG_SNIFF_BYTES = 4096;
+
+/**
+ * Structured rejection.
+ */
+function reject(code, error) {
+  return { code, error };
+}
+
+/**
+ * Identify an image format from its leading bytes.
+ *
+ * @param {Buffer} buf File contents
+ * @returns {string|null} Format key (see utils/formats.js)
+ */
+function sniffFormat(buf) {
+  if (
+    buf.length >= 3 &&
+    buf[0] === 0xff &&
+    buf[1] === 0xd8 &&
+    buf[2] === 0xff
+  ) {
+    return 'jpeg';
+  }
+  if (
+    buf.length >= 8 &&
+    buf.readUInt32BE(0) === 0x89504e47 &&
+    buf.readUInt32BE(4) === 0x0d0a1a0a
+  ) {
+    return 'png';
+  }
+  if (
+    buf.length >= 12 &&
+    buf.toString('latin1', 0, 4) === 'RIFF' &&
+    buf.toString('latin1', 8, 12) === 'WEBP'
+  ) {
+    return 'webp';
+  }
+  if (buf.length >= 16 && buf.toString('latin1', 4, 8) === 'ftyp') {
+    const size = buf.readUInt32BE(0);
+    const end = Math.min(size, buf.length);
+    for (let i = 8; i + 4 <= end; i += 4) {
+      if (i === 12) continue; // minor version, not a brand
+      const brand = buf.toString('latin1', i, i + 4);
+      if (brand === 'avif' || brand === 'avis') return 'avif';
+    }
+  }
+  if (buf.length >= 13 && /^GIF8[79]a$/.test(buf.toString('latin1', 0, 6))) {
+    return 'gif';
+  }
+  if (SVG_START.test(buf.toString('utf8', 0, SVG_SNIFF_BYTES))) {
+    return 'svg';
+  }
+  return null;
+}
+
+/**
+ * Text of an uncompressed PNG tEXt or iTXt chunk, null for XMP packets and
+ * compressed text.
+ */
+function pngText(type, data) {
+  const keyword = data.subarray(0, data.indexOf(0)).toString('latin1');
+  if (type === 'tEXt') return data;
+  if (keyword === 'XML:com.adobe.xmp') return null;
+  // iTXt: keyword, NUL, compression flag, compression method, …
+  return data[keyword.length + 1] === 0 ? data : null;
+}
+
+/**
+ * PNG – chunk walk from the signature to IEND. Dimensions come from IHDR,
+ * text from the tEXt and iTXt chunks.
+ */
+function parsePng(buf) {
+  if (buf.length < 33 || buf.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+
+  const width = buf.readUInt32BE(16);
+  const height = buf.readUInt32BE(20);
+  const text = [];
+
+  let pos = 8;
+  while (pos + 12 <= buf.length) {
+    const length = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    if (type === 'tEXt' || type === 'iTXt') {
+      const chunkText = pngText(type, buf.subarray(pos + 8, pos + 8 + length));
+      if (chunkText) text.push(chunkText);
+    }
+    pos += 12 + length;
+    if (type === 'IEND') return { width, height, text, end: pos };
+  }
+  return null;
+}
+
+/**
+ * JPEG – segment walk from SOI to EOI, skipping entropy‑coded data.
+ * Dimensions come from the first SOFn segment, text from the comments (COM).
+ */
+function parseJpeg(buf) {
+  let pos = 2;
+  let width = 0;
+  let height = 0;
+  const text = [];
+
+  while (pos + 1 < buf.length) {
+    if (buf[pos] !== 0xff) return null;
+    // Fill bytes before a marker
+    while (buf[pos] === 0xff && pos + 1 < buf.length) pos++;
+    const marker = buf[pos++];
+
+    if (marker === 0xd9) {
+      return width ? { width, height, text, end: pos } : null;
+    }
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) continue;
+    if (pos + 2 > buf.length) return null;
+
+    const length = buf.readUInt16BE(pos);
+    const isSof =
+      marker >= 0xc0 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc;
+    if (isSof && !width && pos + 7 <= buf.length) {
+      height = buf.readUInt16BE(pos + 3);
+      width = buf.readUInt16BE(pos + 5);
+    }
+    if (marker === 0xfe) text.push(buf.subarray(pos + 2, pos + length));
+    pos += length;
+
+    if (marker === 0xda) {
+      // Entropy‑coded data runs until a marker other than a stuffed 0xFF00
+      // or a restart marker
+      while (pos + 1 < buf.length) {
+        if (
+          buf[pos] === 0xff &&
+          buf[pos + 1] !== 0x00 &&
+          !(buf[pos + 1] >= 0xd0 && buf[pos + 1] <= 0xd7)
+        ) {
+          break;
+        }
+        pos++;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Number of frames of an animated WebP – its ANMF chunks.
+ */
+function countWebpFrames(buf, end) {
+  let frames = 0;
+  let pos = 12;
+  while (pos + 8 <= end) {
+    if (buf.toString('latin1', pos, pos + 4) === 'ANMF') frames++;
+    const size = buf.readUInt32LE(pos + 4);
+    pos += 8 + size + (size % 2);
+  }
+  return frames;
+}
+
+/**
+ * WebP – RIFF container; dimensions from VP8X, VP8 or VP8L, frames from the
+ * ANMF chunks of an animation.
+ */
+function parseWebp(buf) {
+  if (buf.length < 30) return null;
+
+  const riffSize = buf.readUInt32LE(4);
+  const end = 8 + riffSize + (riffSize % 2);
+  const chunk = buf.toString('latin1', 12, 16);
+  let width;
+  let height;
+  let frames = 1;
+
+  if (chunk === 'VP8X') {
+    width = 1 + buf.readUIntLE(24, 3);
+    height = 1 + buf.readUIntLE(27, 3);
+    // Animation flag
+    if (buf[20] & 0x02 && end <= buf.length) {
+      frames = countWebpFrames(buf, end);
+      if (!frames) return null;
+    }
+  } else if (chunk === 'VP8 ') {
+    width = buf.readUInt16LE(26) & 0x3fff;
+    height = buf.readUInt16LE(28) & 0x3fff;
+  } else if (chunk === 'VP8L') {
+    const bits = buf.readUInt32LE(21);
+    width = (bits & 0x3fff) + 1;
+    height = ((bits >> 14) & 0x3fff) + 1;
+  } else {
+    return null;
+  }
+
+  return end <= buf.length ? { width, height, frames, end } : null;
+}
+
+/**
+ * AVIF – top‑level ISO BMFF box walk; dimensions from the largest "ispe"
+ * (image spatial extents) property inside the "meta" box. An image sequence
+ * has as many frames as the largest sample count ("stsz") of its tracks.
+ */
+function parseAvif(buf) {
+  let pos = 0;
+  let width = 0;
+  let height = 0;
+  let frames = 1;
+
+  while (pos + 8 <= buf.length) {
+    let size = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    let header = 8;
+
+    if (size === 1) {
+      if (pos + 16 > buf.length) return null;
+      size = Number(buf.readBigUInt64BE(pos + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = buf.length - pos;
+    }
+    if (size < header || pos + size > buf.length) return null;
+
+    if (type === 'meta') {
+      const meta = buf.subarray(pos + header, pos + size);
+      let i = meta.indexOf('ispe');
+      while (i !== -1 && i + 16 <= meta.length) {
+        width = Math.max(width, meta.readUInt32BE(i + 8));
+        height = Math.max(height, meta.readUInt32BE(i + 12));
+        i = meta.indexOf('ispe', i + 4);
+      }
+    }
+    if (type === 'moov') {
+      const moov = buf.subarray(pos + header, pos + size);
+      let i = moov.indexOf('stsz');
+      while (i !== -1 && i + 16 <= moov.length) {
+        frames = Math.max(frames, moov.readUInt32BE(i + 12));
+        i = moov.indexOf('stsz', i + 4);
+      }
+    }
+    pos += size;
+  }
+
+  return width ? { width, height, frames, end: pos } : null;
+}
+
+/**
+ * Size in bytes of a GIF colour table, from the flags byte that declares it.
+ */
+function colourTableSize(flags) {
+  return flags & 0x80 ? 3 << ((flags & 0x07) + 1) : 0;
+}
+
+/**
+ * GIF – block walk from the logical screen descriptor to the trailer.
+ * Dimensions come from the logical screen; every image descriptor is a frame.
+ * Text comes from the comment extensions.
+ */
+function parseGif(buf) {
+  const width = buf.readUInt16LE(6);
+  const height = buf.readUInt16LE(8);
+  let pos = 13 + colourTableSize(buf[10]);
+  let frames = 0;
+  const text = [];
+
+  // Data sub‑blocks: a length byte and its data, up to a zero length
+  const skipSubBlocks = () => {
+    const start = pos;
+    while (pos < buf.length && buf[pos] !== 0) pos += buf[pos] + 1;
+    pos++;
+    return buf.subarray(start, pos);
+  };
+
+  while (pos < buf.length) {
+    const block = buf[pos];
+    if (block === 0x3b) {
+      return frames ? { width, height, frames, text, end: pos + 1 } : null;
+    }
+    if (block === 0x21) {
+      // Extension: introducer, label, sub‑blocks
+      const label = buf[pos + 1];
+      pos += 2;
+      const data = skipSubBlocks();
+      if (label === 0xfe) text.push(data);
+    } else if (block === 0x2c) {
+      // Image descriptor, local colour table, LZW code size, sub‑blocks
+      if (pos + 10 > buf.length) return null;
+      pos += 10 + colourTableSize(buf[pos + 9]) + 1;
+      skipSubBlocks();
+      frames++;
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+const PARSERS = {
+  png: parsePng,
+  jpeg: parseJpeg,
+  webp: parseWebp,
+  avif: parseAvif,
+  gif: parseGif,
+};
+
+/**
+ * End of the images appended to a JPEG (MPF secondary images, Ultra HDR gain
+ * maps), each possibly preceded by zero padding.
+ */
+function skipAppendedJpegs(buf, pos) {
+  for (;;) {
+    let next = pos;
+    while (buf[next] === 0x00) next++;
+    const appended = sniffFormat(buf.subarray(next)) === 'jpeg';
+    const info = appended && parseJpeg(buf.subarray(next));
+    if (!info) return pos;
+    pos = next + info.end;
+  }
+}
+
+/**
+ * Whether text holds markup or script.
+ */
+function hasMarkup(text) {
+  return EMBEDDED_MARKUP.test(text.toString('latin1'));
+}
+
+/**
+ * Check the bytes after the end of an image. Padding, appended JPEGs and
+ * vendor trailers are fine; an archive or markup is not.
+ *
+ * @returns {Object|null} Rejection, or null
+ */
+function checkTrailer(buf, format, end) {
+  const start = format === 'jpeg' ? skipAppendedJpegs(buf, end) : end;
+  const trailer = buf.subarray(start);
+  if (ARCHIVE_SIGNATURES.some(signature => trailer.includes(signature))) {
+    return reject('polyglot', 'Image has an archive appended');
+  }
+  if (hasMarkup(trailer)) {
+    return reject('polyglot', 'Image contains embedded markup or script');
+  }
+  return null;
+}
+
+/**
+ * SVG – parsed and cleaned by utils/svg.js; only entity declarations are
+ * refused here, as svgo would expand them (entity expansion bombs).
+ */
+function validateSvg(buf) {
+  if (/<!ENTITY/i.test(buf.toString('utf8'))) {
+    return reject('unsafe_svg', 'SVG declares entities');
+  }
+  return null;
+}
+
+/**
+ * Validate an uploaded file by content.
+ *
+ * @param {Buffer} buf          File contents
+ * @param {string} originalName Name the client sent (extension checked)
+ * @param {Object} limits
+ * @param {number} limits.maxPixels    Maximum width × height (× frames)
+ * @param {number} limits.maxDimension Maximum width or height
+ * @returns {Object|null} null when valid, { code, error } otherwise
+ */
+function validateImage(buf, originalName, { maxPixels, maxDimension }) {
+  const declared = formatFromName(originalName);
+  if (!declared) {
+    return reject('unsupported_type', 'Unsupported file extension');
+  }
+
+  const actual = sniffFormat(buf);
+  if (!actual) {
+    return reject(
+      'unrecognised_content',
+      'File content is not a supported image'
+    );
+  }
+  if (actual !== declared) {
+    return reject(
+      'format_mismatch',
+      `File extension says ${declared} but content is ${actual}`
+    );
+  }
+
+  if (actual === 'svg') return validateSvg(buf);
+
+  const info = PARSERS[actual](buf);
+  if (!info) {
+    return reject('malformed_image', 'Image structure is truncated or invalid');
+  }
+
+  const trailerRejection = checkTrailer(buf, actual, info.end);
+  if (trailerRejection) return trailerRejection;
+  if ((info.text || []).some(hasMarkup)) {
+    return reject('polyglot', 'Image contains embedded markup or script');
+  }
+
+  if (!info.width || !info.height) {
+    return reject('malformed_image', 'Image has no dimensions');
+  }
+  if (info.width > maxDimension || info.height > maxDimension) {
+    return reject(
+      'dimensions_exceeded',
+      `Image is ${info.width}×${info.height}, the limit is ${maxDimension} px per side`
+    );
+  }
+  const pixels = info.width * info.height * (info.frames || 1);
+  if (pixels > maxPixels) {
+    return reject(
+      'too_many_pixels',
+      `Image has ${pixels} pixels, the limit is ${maxPixels}`
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Read an uploaded file from disk and validate it by content.
+ *
+ * @param {Object} file   Multer file object – { path, originalname }
+ * @param {Object} limits See validateImage
+ * @returns {Promise<Object|null>} null when valid, { code, error } otherwise
+ */
+async function validateUpload(file, limits) {
+  const buf = await fs.readFile(file.path);
+  return validateImage(buf, file.originalname, limits);
+}
+
+module.exports = {
+  sniffFormat,
+  validateImage,
+  validateUpload,
+};
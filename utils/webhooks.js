@@ -0,0 +1,355 @@
+/**
+ * utils/webhooks.js
+ *
+ * Callback notifications for finished batches.
+ *   • A client registers a callbackUrl with an upload; a delivery record is
+ *     created right away so it can be inspected while the batch runs,
+ *   • Once the batch is done (or failed) its summary is POSTed as JSON,
+ *     signed with HMAC‑SHA256 over "<timestamp>.<body>",
+ *   • Failed attempts (network error, timeout, non‑2xx) are retried with
+ *     exponential backoff, but never after the delivery's deadline – when the
+ *     batch and the URLs in the payload are gone; every attempt is recorded
+ *     on the delivery,
+ *   • Callbacks to loopback, private and link‑local addresses are refused
+ *     unless explicitly allowed – checked when connecting, so a DNS name
+ *     cannot be pointed at an internal host later.
+ *
+ * Delivery states: waiting → pending → delivered | failed
+ */
+
+const http = require('http');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+
+const ATTEMPT_TIMEOUT_MS = 10 * 1000;
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// Recorded response bodies are cut to this many characters
+const MAX_RESPONSE_LENGTH = 500;
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+].forEach(([address, prefix]) =>
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4')
+);
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+].forEach(([address, prefix]) =>
+  PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6')
+);
+
+/**
+ * Whether an IP address is loopback, private or link‑local.
+ *
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+  // IPv4‑mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+  return PRIVATE_RANGES.check(address, family);
+}
+
+/**
+ * dns.lookup that fails for private addresses.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) {
+      const reason = `${hostname} resolves to a private address`;
+      return callback(new Error(`${reason} (${blocked.address})`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Signature header value for a payload.
+ *
+ * @param {string} secret    Shared secret
+ * @param {string} body      JSON body, exactly as sent
+ * @param {number} timestamp Unix time in seconds
+ * @returns {string} "t=<timestamp>,v1=<hex HMAC‑SHA256>"
+ */
+function signPayload(secret, body, timestamp) {
+  const mac = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Create the webhook sender.
+ *
+ * @param {Object} options
+ * @param {string} options.secret         HMAC key for the signatures
+ * @param {number} options.maxAttempts    Attempts before giving up
+ * @param {boolean} options.allowPrivate  Allow internal callback hosts
+ * @param {Function} [options.onAttempt]  Called after every attempt with
+ *   the delivery and "delivered", "retrying" or "failed"
+ * @returns {Object} { checkUrl, register, dispatch, getDelivery,
+ *   serializeDelivery, pruneDeliveries }
+ */
+function createWebhookSender({
+  secret,
+  maxAttempts,
+  allowPrivate,
+  onAttempt = () => {},
+}) {
+  const deliveries = new Map();
+
+  /**
+   * Validate a callback URL given by a client.
+   *
+   * @param {string} raw URL
+   * @returns {string} Normalised URL
+   * @throws {Error} When it is not an acceptable http(s) URL
+   */
+  function checkUrl(raw) {
+    let url = null;
+    try {
+      if (typeof raw === 'string') url = new URL(raw);
+    } catch {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('"callbackUrl" must be an http(s) URL');
+    }
+    if (url.username || url.password) {
+      throw new Error('"callbackUrl" must not contain credentials');
+    }
+    // IP literals never go through the DNS lookup
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+      throw new Error('"callbackUrl" must not point at a private address');
+    }
+    return url.href;
+  }
+
+  /**
+   * Register a callback for a batch that is about to be processed.
+   *
+   * @param {string} url       Result of checkUrl
+   * @param {Object} owner     { clientId, batchId, jobId? }
+   * @returns {Object} Delivery record (status "waiting")
+   */
+  function register(url, { clientId = null, batchId, jobId = null }) {
+    const delivery = {
+      id: crypto.randomBytes(12).toString('hex'),
+      url,
+      clientId,
+      batchId,
+      jobId,
+      status: 'waiting',
+      event: null,
+      payload: null,
+      attempts: [],
+      nextAttemptAt: null,
+      deadline: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      timer: null,
+    };
+    deliveries.set(delivery.id, delivery);
+    return delivery;
+  }
+
+  // One POST; resolves with the status code and the start of the body
+  function post(url, body, headers) {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = client.request(
+        target,
+        {
+          method: 'POST',
+          headers,
+          timeout: ATTEMPT_TIMEOUT_MS,
+          lookup: allowPrivate ? undefined : publicLookup,
+        },
+        res => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => {
+            if (text.length < MAX_RESPONSE_LENGTH) text += chunk;
+          });
+          res.on('end', () =>
+            resolve({
+              statusCode: res.statusCode,
+              response: text.slice(0, MAX_RESPONSE_LENGTH),
+            })
+          );
+          res.on('error', reject);
+        }
+      );
+      req.on('timeout', () => req.destroy(new Error('Timed out')));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  async function attempt(delivery) {
+    delivery.timer = null;
+    delivery.nextAttemptAt = null;
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString() };
+
+    try {
+      const { statusCode, response } = await post(delivery.url, body, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'sora-lite-webhooks',
+        'X-Sora-Event': delivery.event,
+        'X-Sora-Delivery': delivery.id,
+        'X-Sora-Signature': signPayload(secret, body, timestamp),
+      });
+      record.statusCode = statusCode;
+      record.response = response;
+      if (statusCode < 200 || statusCode >= 300) {
+        record.error = `HTTP ${statusCode}`;
+      }
+    } catch (e) {
+      record.error = e.message;
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+    delivery.updatedAt = Date.now();
+
+    // Time left for retries; a retry that would come later is moved up to the
+    // deadline, and none is made when less than RETRY_BASE_MS remains
+    const remaining =
+      delivery.deadline === null ? Infinity : delivery.deadline - Date.now();
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+    } else if (
+      delivery.attempts.length >= maxAttempts ||
+      remaining < RETRY_BASE_MS
+    ) {
+      delivery.status = 'failed';
+    } else {
+      // 5 s, 10 s, 20 s, … with ±20 % jitter so retries do not bunch up
+      const backoff = Math.min(
+        RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1),
+        RETRY_MAX_MS
+      );
+      const delay = Math.min(
+        Math.round(backoff * (0.8 + Math.random() * 0.4)),
+        remaining
+      );
+      delivery.nextAttemptAt = Date.now() + delay;
+      delivery.timer = setTimeout(() => attempt(delivery), delay);
+      delivery.timer.unref();
+    }
+    onAttempt(delivery, delivery.timer ? 'retrying' : delivery.status);
+  }
+
+  /**
+   * Send the summary of a finished batch.
+   *
+   * @param {Object} delivery Result of register
+   * @param {string} event    "batch.completed" or "batch.failed"
+   * @param {Object} summary  Batch summary (the "data" of the payload)
+   * @param {number|null} [deadline=null] Time (ms) after which it is not
+   *   retried, e.g. before the batch expires; null to retry maxAttempts times
+   */
+  function dispatch(delivery, event, summary, deadline = null) {
+    delivery.status = 'pending';
+    delivery.event = event;
+    delivery.deadline = deadline;
+    delivery.payload = {
+      id: delivery.id,
+      event,
+      createdAt: new Date().toISOString(),
+      data: summary,
+    };
+    attempt(delivery);
+  }
+
+  /**
+   * @param {string} id Delivery id
+   * @returns {Object|undefined} Delivery record
+   */
+  function getDelivery(id) {
+    return deliveries.get(id);
+  }
+
+  /**
+   * Public view of a delivery (what GET /webhooks/:id returns).
+   *
+   * @param {Object} delivery Delivery record
+   * @returns {Object}
+   */
+  function serializeDelivery(delivery) {
+    const time = ms => (ms ? new Date(ms).toISOString() : null);
+    return {
+      id: delivery.id,
+      url: delivery.url,
+      batchId: delivery.batchId,
+      jobId: delivery.jobId,
+      status: delivery.status,
+      event: delivery.event,
+      createdAt: time(delivery.createdAt),
+      updatedAt: time(delivery.updatedAt),
+      nextAttemptAt: time(delivery.nextAttemptAt),
+      retryUntil: time(delivery.deadline),
+      attempts: delivery.attempts,
+      payload: delivery.payload,
+    };
+  }
+
+  /**
+   * Forget delivered or failed deliveries older than the given age.
+   *
+   * @param {number} maxAgeMs Age after the last attempt
+   * @returns {number} Number of pruned deliveries
+   */
+  function pruneDeliveries(maxAgeMs) {
+    const now = Date.now();
+    let pruned = 0;
+    for (const [id, delivery] of deliveries) {
+      const settled = ['delivered', 'failed'].includes(delivery.status);
+      if (settled && now - delivery.updatedAt > maxAgeMs) {
+        deliveries.delete(id);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  return {
+    checkUrl,
+    register,
+    dispatch,
+    getDelivery,
+    serializeDelivery,
+    pruneDeliveries,
+  };
+}
+
+module.exports = {
+  createWebhookSender,
+  signPayload,
+};
@@ -0,0 +1,21 @@
+/**
+ * utils/worker.js
+ *
+ * Worker thread of the processing pool (utils/pool.js). Optimises one file
+ * per message and answers with { result } or { error }.
+ */
+
+const { parentPort } = require('worker_threads');
+const { optimiseFile } = require('./processor');
+
+parentPort.on('message', async task => {
+  const { file, outDir, settings, baseName, measure } = task;
+  try {
+    const result = await optimiseFile(file, outDir, settings, baseName, {
+      measure,
+    });
+    parentPort.postMessage({ result });
+  } catch (e) {
+    parentPort.postMessage({ error: e.message });
+  }
+});